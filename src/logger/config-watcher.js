@@ -0,0 +1,180 @@
+/**
+ * @file src/logger/config-watcher.js
+ * @description Отслеживание изменений файла конфигурации и .env файла логгера
+ * @version 0.1.0
+ *
+ * @description
+ * Модуль следит за файлом `sys-logger.config.js` и/или отдельным .env файлом и после изменения
+ * (с задержкой `debounce`, чтобы объединить серию записей редактора) перечитывает оба источника
+ * и передает результат в `onChange`. Ошибки чтения передаются в `onError` как CONFIG_LOAD_FAILED.
+ *
+ * Отслеживаются каталоги файлов, а не сами файлы: редакторы часто сохраняют файл через
+ * создание нового и переименование, после чего наблюдение за старым файлом теряется.
+ *
+ * Применение конфигурации (`reconfigure`) выполняет logger.js (см. `watchConfig`): модуль не импортирует
+ * logger.js, чтобы не создавать циклической зависимости.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { parse as parseEnv } from '@dotenvx/dotenvx'
+
+import { loadConfigFile } from './config.js'
+import { createConfigLoadError } from './error-fabs-logger.js'
+
+const DEFAULT_DEBOUNCE = 200 // мс
+
+/**
+ * @typedef {Object} ConfigWatcherOptions
+ * @property {string} [configFile] - Путь к файлу конфигурации (`sys-logger.config.js`)
+ * @property {string} [envFile] - Путь к .env файлу с переменными логгера
+ * @property {number} [debounce=200] - Задержка перед перечитыванием после последнего изменения, мс
+ * @property {function(ConfigSnapshot): (void|Promise<void>)} onChange - Вызывается с новым содержимым файлов
+ * @property {function(Error): void} onError - Вызывается при ошибке чтения файлов или в `onChange`
+ */
+
+/**
+ * @typedef {Object} ConfigSnapshot
+ * @property {Object|null} fileConfig - Объект из файла конфигурации (null, если файл не отслеживается)
+ * @property {Object|null} env - Переменные из .env файла (null, если файл не отслеживается)
+ */
+
+/**
+ * Зависимости модуля
+ */
+export const dependencies = {
+  fs,
+  path,
+  loadConfigFile,
+  parseEnv,
+  setTimeout,
+  clearTimeout
+}
+
+/**
+ * Устанавливает зависимости модуля
+ * @param {Partial<typeof dependencies>} newDependencies - Новые зависимости
+ */
+export function setDependencies (newDependencies) {
+  Object.assign(dependencies, newDependencies)
+}
+
+/**
+ * Читает отслеживаемые файлы
+ * @param {string|undefined} configFile - Путь к файлу конфигурации
+ * @param {string|undefined} envFile - Путь к .env файлу
+ * @returns {Promise<ConfigSnapshot>} Содержимое файлов
+ * @throws {SystemError} CONFIG_LOAD_FAILED (createConfigLoadError) - при ошибке чтения или импорта
+ * @private
+ */
+async function readConfigSnapshot (configFile, envFile) {
+  const { fs, loadConfigFile, parseEnv } = dependencies
+
+  const fileConfig = configFile ? await loadConfigFile(configFile, { reload: true }) : null
+
+  let env = null
+  if (envFile) {
+    try {
+      env = parseEnv(fs.readFileSync(envFile, 'utf-8'))
+    } catch (error) {
+      throw createConfigLoadError(`${envFile}: ${error.message}`, error)
+    }
+  }
+
+  return { fileConfig, env }
+}
+
+/**
+ * Создает наблюдатель за файлом конфигурации и .env файлом
+ *
+ * Основная ответственность:
+ * - Подписка на изменения каталогов отслеживаемых файлов (`fs.watch`, не удерживает процесс от завершения)
+ * - Объединение серии изменений в одно перечитывание (`debounce`)
+ * - Последовательное перечитывание файлов и вызов `onChange` (изменения во время обработки
+ *   вызывают еще одно перечитывание после нее)
+ *
+ * @param {ConfigWatcherOptions} options - Настройки наблюдателя
+ * @returns {{close: function(): void, reload: function(): Promise<void>}} Наблюдатель: `close` прекращает
+ *          отслеживание, `reload` перечитывает файлы немедленно
+ * @throws {SystemError} CONFIG_LOAD_FAILED (createConfigLoadError) - если не задан ни один файл или каталог
+ *         файла не удалось отслеживать
+ */
+export function createConfigWatcher (options) {
+  const { fs, path, setTimeout, clearTimeout } = dependencies
+  const { onChange, onError, debounce = DEFAULT_DEBOUNCE } = options
+  const configFile = options.configFile ? path.resolve(options.configFile) : undefined
+  const envFile = options.envFile ? path.resolve(options.envFile) : undefined
+  const files = [configFile, envFile].filter(Boolean)
+
+  if (files.length === 0) {
+    throw createConfigLoadError('nothing to watch: neither a config file nor an .env file is set')
+  }
+
+  let timer = null
+  let closed = false
+  let reloading = null
+  let pending = false
+
+  /**
+   * Перечитывает файлы и передает результат в onChange; ошибки передаются в onError
+   * @returns {Promise<void>}
+   */
+  async function reload () {
+    if (reloading) {
+      pending = true
+      return reloading
+    }
+    reloading = (async () => {
+      let again = true
+      while (again) {
+        pending = false
+        try {
+          const snapshot = await readConfigSnapshot(configFile, envFile)
+          if (!closed) await onChange(snapshot)
+        } catch (error) {
+          if (!closed) onError(error)
+        }
+        again = pending && !closed
+      }
+    })()
+    try {
+      await reloading
+    } finally {
+      reloading = null
+    }
+  }
+
+  /**
+   * Планирует перечитывание после паузы в изменениях
+   */
+  function scheduleReload () {
+    if (closed) return
+    clearTimeout(timer)
+    timer = setTimeout(reload, debounce)
+  }
+
+  /**
+   * Прекращает отслеживание
+   */
+  function close () {
+    closed = true
+    clearTimeout(timer)
+    watchers.forEach(watcher => watcher.close())
+  }
+
+  const watchers = []
+  for (const dir of new Set(files.map(file => path.dirname(file)))) {
+    const names = files.filter(file => path.dirname(file) === dir).map(file => path.basename(file))
+    try {
+      watchers.push(fs.watch(dir, { persistent: false }, (eventType, fileName) => {
+        // fileName может отсутствовать на некоторых платформах - тогда перечитываем на всякий случай
+        if (!fileName || names.includes(String(fileName))) scheduleReload()
+      }))
+    } catch (error) {
+      close()
+      throw createConfigLoadError(`cannot watch ${dir}: ${error.message}`, error)
+    }
+  }
+
+  return { close, reload }
+}
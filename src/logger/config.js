@@ -1,9 +1,44 @@
 /**
  * @file src/logger/config.js
  * @description Модуль конфигурации логгера - загрузка настроек и создание транспортов
- * @version 0.8.0
+ * @version 0.26.0
  *
  * @changelog
+ * - 0.26.0 (2026-10-19): `LOG_MAP_DEPTH_ONLY` по умолчанию `false`: глубина ограничивает все структуры.
+ * - 0.25.0 (2026-10-19): `processFilenameTemplate` снова экспортируется из модуля (реэкспорт из filename-template.js);
+ *                       `setDependencies` передает `fs` в filename-template.js.
+ * - 0.24.0 (2026-10-19): Потоки легаси-режима и таргеты транспортов сохраняют свои уровни и при правилах LOG_LEVELS:
+ *                       правила применяются логгером namespace (logger.js) и не опускают уровень ниже общего.
+ * - 0.23.0 (2026-10-19): Файл конфигурации загружается по вызову `loadStartupFileConfig` (из logger.js), а не при
+ *                       импорте модуля; `processFilenameTemplate` перенесен в filename-template.js, чтобы
+ *                       worker-потоки транспорта не выполняли файл конфигурации пользователя.
+ * - 0.22.0 (2026-10-19): Настройка глубины вложенных ошибок `LOG_ERROR_CAUSE_DEPTH` (`errorCauseDepth`).
+ * - 0.21.0 (2026-10-19): Пользовательские уровни `LOG_CUSTOM_LEVELS` (`parseCustomLevels`): проверка уровней
+ *                       с их учетом, передача в pino, потоки транспортов и pino-pretty (цвета).
+ * - 0.20.0 (2026-10-19): Поля для псевдонимизации `LOG_PSEUDONYMIZE_FIELDS`; предупреждение, если не задан
+ *                       ключ `LOG_PSEUDONYMIZE_KEY`.
+ * - 0.19.0 (2026-10-19): Проверка настроек скрытия чувствительных данных (`LOG_REDACT_*`, см. redact.js).
+ * - 0.18.0 (2026-10-19): Разделитель namespace для `logger.extend()` (`LOG_NAMESPACE_DELIMITER`).
+ * - 0.17.0 (2026-10-19): Уровни по namespace `LOG_LEVELS` (`parseNamespaceLevels`): проверка правил, в легаси-режиме
+ *                       потоки пропускают уровни из правил ниже LOG_LEVEL.
+ * - 0.16.0 (2026-10-19): `loadConfigFile` с опцией `reload` (повторный импорт измененного файла) и
+ *                       `getConfigFilePath` - для отслеживания изменений файла конфигурации.
+ * - 0.15.0 (2026-10-19): `createTransport` принимает конфигурацию из файла вторым аргументом; `setFileConfig`
+ *                       и `isFileConfig` для переконфигурации логгера во время работы (`reconfigure` в logger.js).
+ * - 0.14.0 (2026-10-19): Проверка конфигурации по схеме настроек: некорректные значения и неизвестные ключи
+ *                       (из окружения и из файла) сообщаются ошибками INVALID_CONFIG_VALUE с указанием источника.
+ *                       По умолчанию - одно предупреждение и значения по умолчанию, при LOG_STRICT=true - ошибка.
+ * - 0.13.0 (2026-10-19): Файл конфигурации `sys-logger.config.js` (поиск вверх от `process.cwd()` или путь из
+ *                       LOG_CONFIG_FILE). Транспорты из окружения и из файла приводятся к общему виду
+ *                       через `normalizeTransportConfig`.
+ * - 0.12.0 (2026-10-19): Все файловые транспорты с путем (без `prettyPrint`) пишут через таргет `rotating-file.js`,
+ *                       чтобы поддерживать переоткрытие файлов (`reopenFiles` в logger.js).
+ * - 0.11.0 (2026-10-19): Хранение архивов по возрасту и суммарному размеру (`TRANSPORT{N}_ROTATE_MAX_AGE`,
+ *                       `TRANSPORT{N}_ROTATE_MAX_TOTAL_SIZE`).
+ * - 0.10.0 (2026-10-19): Ротация по времени `TRANSPORT{N}_ROTATE_INTERVAL`; `processFilenameTemplate` принимает дату,
+ *                       для которой вычисляется шаблон.
+ * - 0.9.0 (2026-10-19): Файловые транспорты с `TRANSPORT{N}_ROTATE=true` пишут через таргет `rotating-file.js`,
+ *                      который выполняет ротацию по размеру и очистку архивов.
  * - 0.8.0 (2025-06-11): Финальное исправление ошибки в `createPinoTransports`, из-за которой файловый транспорт некорректно
  *                      обрабатывался как `pino-pretty`. Упрощена логика выбора таргета. Удален отладочный вывод.
  * - 0.7.3 (2025-06-11): Добавлен временный отладочный вывод для диагностики.
@@ -20,23 +55,76 @@
  * - LOG_FOLDER - папка для лог файлов
  * - LOG_SYNC - синхронная запись (true/false)
  * - LOG_PRETTY - форматированный вывод (true/false)
+ * - LOG_CONFIG_FILE - путь к файлу конфигурации (вместо поиска `sys-logger.config.js`)
+ * - LOG_STRICT - строгая проверка конфигурации: ошибка вместо предупреждения (true/false)
+ * - LOG_LEVELS - уровни по namespace (например, `db:*=warn,api:auth=trace,*=info`)
+ * - LOG_NAMESPACE_DELIMITER - разделитель namespace для `logger.extend()` (по умолчанию `:`)
+ * - LOG_REDACT_PATHS - пути для скрытия значений (например, `req.headers.authorization,*.password=remove`)
+ * - LOG_REDACT_PATTERNS - шаблоны значений для скрытия (`jwt`, `card`, `email`, например `jwt,card=mask`)
+ * - LOG_REDACT_STRATEGY - стратегия скрытия по умолчанию (replace, mask, remove)
+ * - LOG_REDACT_CENSOR - маркер скрытого значения (по умолчанию `[REDACTED]`)
+ * - LOG_PSEUDONYMIZE_FIELDS - поля, значения которых заменяются токеном HMAC (например, `userId,email`)
+ * - LOG_PSEUDONYMIZE_KEY - секретный ключ HMAC для псевдонимизации (только в окружении)
+ * - LOG_ERROR_CAUSE_DEPTH - глубина вложенных ошибок (cause, original, errors) при записи ошибок
+ * - LOG_CUSTOM_LEVELS - пользовательские уровни `имя:значение[:цвет][:always]` (например, `audit:65:magenta:always,http:25`)
  *
  * Поддержка множественных транспортов:
  * - TRANSPORT{N} - тип транспорта (console, file)
  * - TRANSPORT{N}_LEVEL - уровень логирования для транспорта
  * - Специфичные настройки для разных типов транспортов
+ *
+ * Файл конфигурации `sys-logger.config.js` (см. docs/NEW_CONFIG.md) загружается один раз через
+ * `loadStartupFileConfig` при импорте logger.js. Импорт config.js не имеет побочных эффектов.
+ * Приоритет: переменные окружения > файл конфигурации > значения по умолчанию. Список транспортов берется
+ * целиком из одного источника: из `TRANSPORT{N}`, если они заданы, иначе из `transports` файла.
  */
 
 import fs from 'fs'
 import path from 'path'
-import os from 'os'
-import { fileURLToPath } from 'url'
+import { fileURLToPath, pathToFileURL } from 'url'
 import pino from 'pino'
 import pretty from 'pino-pretty'
 
-import { createLogDirError, createTransportError } from './error-fabs-logger.js'
+import {
+  createConfigLoadError,
+  createInvalidConfigValueError,
+  createInvalidLogLevelError,
+  createLogDirError,
+  createTransportError
+} from './error-fabs-logger.js'
+import { parseRotationInterval } from './rotate.js'
+import { parsePseudonymizeFields } from './pseudonymize.js'
+import { DEFAULT_ERROR_CAUSE_DEPTH } from './serialize-error.js'
+import {
+  loadAppInfo,
+  processFilenameTemplate,
+  setDependencies as setFilenameTemplateDependencies
+} from './filename-template.js'
+import {
+  BUILTIN_REDACT_PATTERNS,
+  DEFAULT_REDACT_CENSOR,
+  REDACT_STRATEGIES,
+  parseRedactPaths,
+  parseRedactPatterns
+} from './redact.js'
+
+// Шаблоны имен файлов реализованы в filename-template.js (используется и в worker-потоке транспорта)
+export { processFilenameTemplate } from './filename-template.js'
+
+/**
+ * Имя файла конфигурации логгера
+ * @type {string}
+ */
+export const CONFIG_FILENAME = 'sys-logger.config.js'
 
-const DEFAULT_APP_NAME = 'app'
+// Маркеры корня проекта: выше них файл конфигурации не ищется
+const PROJECT_ROOT_MARKERS = ['package.json', '.git']
+
+// Максимальное число уровней директорий при поиске файла конфигурации
+const MAX_CONFIG_SEARCH_DEPTH = 10
+
+// Путь к таргету pino для файлов с ротацией и переоткрытием (загружается в worker-потоке транспорта)
+const ROTATING_FILE_TARGET = fileURLToPath(new URL('./rotating-file.js', import.meta.url))
 
 // Маппинг уровней логирования в числовые значения pino
 const LOG_LEVELS = {
@@ -48,6 +136,107 @@ const LOG_LEVELS = {
   fatal: 60
 }
 
+// Имена методов логгера (pino и обертки из logger.js), которые нельзя использовать как имена пользовательских уровней
+const RESERVED_LEVEL_NAMES = [
+  'silent', 'child', 'bindings', 'extend', 'level', 'levels', 'isLevelEnabled', 'flush', 'on',
+  'startTimer', 'span', 'once', 'warnOnce', 'deprecate'
+]
+
+// Цвет пользовательского уровня в pino-pretty по умолчанию
+const DEFAULT_CUSTOM_LEVEL_COLOR = 'magenta'
+
+// Допустимые типы транспортов
+const TRANSPORT_TYPES = ['console', 'file']
+
+/**
+ * @typedef {Object} SettingDefinition
+ * @property {string} key - Ключ настройки (в объекте конфигурации и в sys-logger.config.js)
+ * @property {string} env - Имя переменной окружения (для транспортов - суффикс после `TRANSPORT{N}_`)
+ * @property {string} type - Тип значения: string, boolean, positiveInteger, nonNegativeInteger, level,
+ *           transportType, destination, interval, namespaceLevels, redactPaths, redactPatterns, redactStrategy,
+ *           fieldList, customLevels
+ * @property {*} [default] - Значение по умолчанию
+ */
+
+/**
+ * Базовые настройки логгера
+ * @type {SettingDefinition[]}
+ */
+const BASE_SETTINGS = [
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'level', default: 'info' },
+  { key: 'colorize', env: 'LOG_COLORIZE', type: 'boolean', default: true },
+  { key: 'fileOutput', env: 'LOG_FILE_OUTPUT', type: 'boolean', default: true },
+  { key: 'consoleOutput', env: 'LOG_CONSOLE_OUTPUT', type: 'boolean', default: true },
+  { key: 'logFolder', env: 'LOG_FOLDER', type: 'string', default: 'logs' },
+  { key: 'sync', env: 'LOG_SYNC', type: 'boolean', default: false },
+  { key: 'pretty', env: 'LOG_PRETTY', type: 'boolean', default: false },
+  { key: 'maxDepth', env: 'LOG_MAX_DEPTH', type: 'positiveInteger', default: 8 },
+  { key: 'mapDepthOnly', env: 'LOG_MAP_DEPTH_ONLY', type: 'boolean', default: false },
+  { key: 'maxStringLength', env: 'LOG_MAX_STRING_LENGTH', type: 'nonNegativeInteger', default: 0 },
+  { key: 'truncationMarker', env: 'LOG_TRUNCATION_MARKER', type: 'string', default: '...' },
+  { key: 'errorCauseDepth', env: 'LOG_ERROR_CAUSE_DEPTH', type: 'positiveInteger', default: DEFAULT_ERROR_CAUSE_DEPTH },
+  { key: 'debug', env: 'DEBUG', type: 'string' },
+  { key: 'levels', env: 'LOG_LEVELS', type: 'namespaceLevels' },
+  { key: 'namespaceDelimiter', env: 'LOG_NAMESPACE_DELIMITER', type: 'string', default: ':' },
+  { key: 'redactPaths', env: 'LOG_REDACT_PATHS', type: 'redactPaths' },
+  { key: 'redactPatterns', env: 'LOG_REDACT_PATTERNS', type: 'redactPatterns' },
+  { key: 'redactStrategy', env: 'LOG_REDACT_STRATEGY', type: 'redactStrategy', default: 'replace' },
+  { key: 'redactCensor', env: 'LOG_REDACT_CENSOR', type: 'string', default: DEFAULT_REDACT_CENSOR },
+  { key: 'pseudonymizeFields', env: 'LOG_PSEUDONYMIZE_FIELDS', type: 'fieldList' },
+  { key: 'strict', env: 'LOG_STRICT', type: 'boolean', default: false }
+]
+
+/**
+ * Настройки транспорта (значения по умолчанию применяет `normalizeTransportConfig`)
+ * @type {SettingDefinition[]}
+ */
+const TRANSPORT_SETTINGS = [
+  { key: 'type', env: '', type: 'transportType' },
+  { key: 'level', env: 'LEVEL', type: 'level' },
+  { key: 'enabled', env: 'ENABLED', type: 'boolean' },
+  { key: 'sync', env: 'SYNC', type: 'boolean' },
+  // Консольный транспорт
+  { key: 'colors', env: 'COLORS', type: 'boolean' },
+  { key: 'translateTime', env: 'TRANSLATE_TIME', type: 'string' },
+  { key: 'ignore', env: 'IGNORE', type: 'string' },
+  { key: 'singleLine', env: 'SINGLE_LINE', type: 'boolean' },
+  { key: 'hideObjectKeys', env: 'HIDE_OBJECT_KEYS', type: 'string' },
+  { key: 'showMetadata', env: 'SHOW_METADATA', type: 'boolean' },
+  { key: 'timestampKey', env: 'TIMESTAMP_KEY', type: 'string' },
+  // Файловый транспорт
+  { key: 'folder', env: 'FOLDER', type: 'string' },
+  { key: 'filename', env: 'FILENAME', type: 'string' },
+  { key: 'destination', env: 'DESTINATION', type: 'destination' },
+  { key: 'mkdir', env: 'MKDIR', type: 'boolean' },
+  { key: 'append', env: 'APPEND', type: 'boolean' },
+  { key: 'prettyPrint', env: 'PRETTY_PRINT', type: 'boolean' },
+  { key: 'rotate', env: 'ROTATE', type: 'boolean' },
+  { key: 'rotateMaxSize', env: 'ROTATE_MAX_SIZE', type: 'positiveInteger' },
+  { key: 'rotateMaxFiles', env: 'ROTATE_MAX_FILES', type: 'positiveInteger' },
+  { key: 'rotateMaxAge', env: 'ROTATE_MAX_AGE', type: 'nonNegativeInteger' },
+  { key: 'rotateMaxTotalSize', env: 'ROTATE_MAX_TOTAL_SIZE', type: 'nonNegativeInteger' },
+  { key: 'rotateCompress', env: 'ROTATE_COMPRESS', type: 'boolean' },
+  { key: 'rotateInterval', env: 'ROTATE_INTERVAL', type: 'interval' }
+]
+
+// Ключи верхнего уровня файла конфигурации
+/**
+ * Пользовательские уровни (читаются до остальных настроек: по ним проверяются значения уровней)
+ * @type {SettingDefinition}
+ */
+const CUSTOM_LEVELS_SETTING = { key: 'customLevels', env: 'LOG_CUSTOM_LEVELS', type: 'customLevels' }
+
+const FILE_CONFIG_KEYS = [...BASE_SETTINGS.map(setting => setting.key), CUSTOM_LEVELS_SETTING.key, 'transports']
+
+// Ключи транспорта из docs/NEW_CONFIG.md, которые пока не используются (не считаются ошибкой)
+const RESERVED_TRANSPORT_KEYS = ['timestamp', 'messageKey', 'levelKey', 'pretty']
+
+// Уже выведенные предупреждения о конфигурации (каждое выводится один раз за процесс)
+const reportedConfigWarnings = new Set()
+
+// Счетчик повторных загрузок файла конфигурации (делает URL импорта уникальным)
+let configReloadCounter = 0
+
 /**
  * Зависимости модуля
  */
@@ -56,78 +245,22 @@ export const dependencies = {
   pretty,
   fs,
   path,
-  env: process.env
+  env: process.env,
+  importModule: (url) => import(url),
+  fileConfig: null, // Конфигурация из sys-logger.config.js (загружается `loadStartupFileConfig`)
+  fileConfigPath: null // Путь к загруженному файлу конфигурации
 }
 
 /**
  * Устанавливает зависимости модуля
+ *
+ * `fs` передается и в filename-template.js: имя приложения для шаблонов читается из package.json через него.
+ *
  * @param {Partial<typeof dependencies>} newDependencies - Новые зависимости
  */
 export function setDependencies (newDependencies) {
   Object.assign(dependencies, newDependencies)
-}
-
-/**
- * Загружает имя и версию приложения из package.json
- *
- * При отсутствии файла или поля name возвращает значения по умолчанию.
- *
- * @returns {Object} Объект с именем и версией приложения
- * @private
- */
-function loadAppInfo () {
-  const { fs, path } = dependencies
-  try {
-    const __filename = fileURLToPath(import.meta.url)
-    const __dirname = path.dirname(__filename)
-    const packagePath = path.join(__dirname, '../../package.json')
-    const packageContent = fs.readFileSync(packagePath, 'utf-8')
-    const { name, version } = JSON.parse(packageContent)
-    return {
-      name: name || DEFAULT_APP_NAME,
-      version: version || '1.0.0'
-    }
-  } catch (error) {
-    return {
-      name: DEFAULT_APP_NAME,
-      version: '1.0.0'
-    }
-  }
-}
-
-/**
- * Обрабатывает шаблоны в имени файла, заменяя их фактическими значениями
- *
- * Поддерживаемые шаблоны:
- * - {date} - текущая дата (YYYY-MM-DD)
- * - {time} - текущее время (HH-mm-ss)
- * - {datetime} - комбинация даты и времени (YYYY-MM-DD_HH-mm-ss)
- * - {app_name} - имя приложения из package.json
- * - {app_version} - версия приложения из package.json
- * - {pid} - ID процесса
- * - {hostname} - имя хоста
- *
- * @param {string} template - Шаблон имени файла
- * @returns {string} Обработанное имя файла
- */
-export function processFilenameTemplate (template) {
-  if (!template) return 'app.log'
-
-  const now = new Date()
-  const dateStr = now.toISOString().split('T')[0]
-  const timeStr = now.toISOString().split('T')[1].replace(/:/g, '-').split('.')[0]
-  const datetimeStr = `${dateStr}_${timeStr}`
-
-  const appInfo = loadAppInfo()
-
-  return template
-    .replace(/{date}/g, dateStr)
-    .replace(/{time}/g, timeStr)
-    .replace(/{datetime}/g, datetimeStr)
-    .replace(/{app_name}/g, appInfo.name)
-    .replace(/{app_version}/g, appInfo.version)
-    .replace(/{pid}/g, process.pid)
-    .replace(/{hostname}/g, os.hostname())
+  if (newDependencies.fs) setFilenameTemplateDependencies({ fs: newDependencies.fs })
 }
 
 /**
@@ -181,81 +314,468 @@ function ensureLogDirectory (logFolder) {
  * Преобразует строковый уровень логирования в числовой для pino
  *
  * @param {string} level - Строковый уровень логирования
+ * @param {Object<string, number>} [levelValues] - Уровни с учетом пользовательских (см. `getLevelValues`)
  * @returns {number} Числовой уровень для pino или уровень info при некорректном входном значении
  * @private
  */
-function getLevelValue (level) {
+function getLevelValue (level, levelValues = LOG_LEVELS) {
   const normalized = level?.toLowerCase()
-  return LOG_LEVELS[normalized] || LOG_LEVELS.info
+  return levelValues[normalized] || LOG_LEVELS.info
+}
+
+/**
+ * @typedef {Object} CustomLevel
+ * @property {string} name - Имя уровня (становится методом логгера)
+ * @property {number} value - Числовое значение (чем больше, тем важнее; fatal - 60)
+ * @property {string} color - Цвет уровня в pino-pretty (имя цвета colorette, например `magenta`)
+ * @property {boolean} always - Записи уровня не фильтруются по DEBUG (например, для аудита)
+ */
+
+/**
+ * Разбирает пользовательские уровни
+ *
+ * Уровни задаются строкой `имя:значение[:цвет][:always]` через запятую (переменная LOG_CUSTOM_LEVELS) или объектом
+ * `{ имя: значение }` / `{ имя: { value, color, always } }` (ключ `customLevels` файла конфигурации).
+ * Имена - строчные латинские буквы, цифры и `_`, не совпадающие со стандартными уровнями и методами логгера;
+ * значения - уникальные положительные целые числа, не совпадающие со значениями стандартных уровней.
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|Object} value - Описание уровней
+ * @returns {{levels: CustomLevel[], invalid: string[]}} Корректные уровни и текст некорректных описаний
+ */
+export function parseCustomLevels (value) {
+  const entries = typeof value === 'string'
+    ? value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, rawValue, ...flags] = entry.split(':').map(part => part.trim())
+      const always = flags.at(-1) === 'always'
+      const color = always ? flags.slice(0, -1)[0] : flags[0]
+      return { text: entry, name, value: /^\d+$/.test(rawValue) ? Number(rawValue) : rawValue, color, always, extra: flags.length > (always ? 2 : 1) }
+    })
+    : Object.entries(value || {}).map(([name, definition]) => {
+      const { value, color, always = false } = typeof definition === 'object' && definition !== null
+        ? definition
+        : { value: definition }
+      return { text: `${name}=${JSON.stringify(definition)}`, name, value, color, always }
+    })
+
+  const levels = []
+  const invalid = []
+  const usedValues = new Set(Object.values(LOG_LEVELS))
+  for (const { text, name, value, color, always, extra } of entries) {
+    const valid = /^[a-z][a-z0-9_]*$/.test(name) &&
+      !Object.hasOwn(LOG_LEVELS, name) &&
+      !RESERVED_LEVEL_NAMES.includes(name) &&
+      !levels.some(level => level.name === name) &&
+      Number.isInteger(value) && value > 0 && !usedValues.has(value) &&
+      (color === undefined || (typeof color === 'string' && /^[a-zA-Z]+$/.test(color))) &&
+      typeof always === 'boolean' && !extra
+    if (valid) {
+      levels.push({ name, value, color: color || DEFAULT_CUSTOM_LEVEL_COLOR, always })
+      usedValues.add(value)
+    } else {
+      invalid.push(text)
+    }
+  }
+  return { levels, invalid }
+}
+
+/**
+ * Возвращает уровни с учетом пользовательских
+ * @param {CustomLevel[]} [customLevels] - Пользовательские уровни
+ * @returns {Object<string, number>} Имя уровня -> числовое значение
+ */
+export function getLevelValues (customLevels = []) {
+  return { ...LOG_LEVELS, ...Object.fromEntries(customLevels.map(level => [level.name, level.value])) }
+}
+
+/**
+ * Возвращает настройки pino-pretty для пользовательских уровней (имена и цвета)
+ * @param {CustomLevel[]} customLevels - Пользовательские уровни
+ * @returns {Object} Опции pino-pretty (пустой объект без пользовательских уровней)
+ * @private
+ */
+function getPrettyLevelOptions (customLevels) {
+  if (!customLevels || customLevels.length === 0) return {}
+  return {
+    customLevels: Object.fromEntries(customLevels.map(level => [level.name, level.value])),
+    customColors: Object.fromEntries(customLevels.map(level => [level.name, level.color])),
+    useOnlyCustomProps: false
+  }
+}
+
+/**
+ * @typedef {Object} NamespaceLevelRule
+ * @property {string} pattern - Паттерн namespace в синтаксисе DEBUG (`db:*`, `api:auth`, `*`)
+ * @property {string} level - Уровень логирования для подходящих namespace
+ */
+
+/**
+ * Разбирает правила уровней по namespace
+ *
+ * Правила задаются строкой `pattern=level` через запятую (переменная LOG_LEVELS) или объектом
+ * `{ pattern: level }` (ключ `levels` файла конфигурации). Некорректные правила не прерывают разбор,
+ * а возвращаются в `invalid`.
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|Object<string, string>} value - Правила
+ * @param {Object<string, number>} [levelValues] - Допустимые уровни (с учетом пользовательских, см. `getLevelValues`)
+ * @returns {{rules: NamespaceLevelRule[], invalid: string[]}} Корректные правила (в исходном порядке)
+ *          и текст некорректных правил
+ */
+export function parseNamespaceLevels (value, levelValues = LOG_LEVELS) {
+  const entries = typeof value === 'string'
+    ? value.split(',').map(rule => rule.trim()).filter(Boolean).map(rule => {
+      const separator = rule.lastIndexOf('=')
+      return separator > 0 ? [rule.slice(0, separator), rule.slice(separator + 1)] : [rule, undefined]
+    })
+    : Object.entries(value || {})
+
+  const rules = []
+  const invalid = []
+  for (const [rawPattern, rawLevel] of entries) {
+    const pattern = rawPattern.trim()
+    const level = typeof rawLevel === 'string' ? rawLevel.trim().toLowerCase() : rawLevel
+    if (pattern && Object.hasOwn(levelValues, level)) {
+      rules.push({ pattern, level })
+    } else {
+      invalid.push(rawLevel === undefined ? rawPattern : `${rawPattern}=${rawLevel}`)
+    }
+  }
+  return { rules, invalid }
+}
+
+/**
+ * Читает и проверяет значение настройки
+ *
+ * Значения из окружения - строки и приводятся к типу настройки; значения из файла конфигурации
+ * должны уже иметь нужный тип. Пустая строка в окружении считается незаданным значением.
+ *
+ * Детерминированная функция.
+ *
+ * @param {SettingDefinition} setting - Описание настройки
+ * @param {*} value - Исходное значение
+ * @param {string} source - Источник значения для сообщения об ошибке (переменная окружения или ключ файла)
+ * @param {boolean} fromEnv - Значение получено из переменной окружения
+ * @param {Object<string, number>} [levelValues] - Допустимые уровни (с учетом пользовательских)
+ * @returns {{value: *, error?: SystemError}} Типизированное значение (undefined, если не задано или
+ *          некорректно) и ошибка INVALID_CONFIG_VALUE для некорректного значения
+ * @private
+ */
+function readSettingValue (setting, value, source, fromEnv, levelValues = LOG_LEVELS) {
+  if (value === undefined || value === null || (fromEnv && value === '')) {
+    return { value: undefined }
+  }
+
+  const reject = (reason, originalError) => ({
+    value: undefined,
+    error: createInvalidConfigValueError(source, value, reason, originalError)
+  })
+
+  switch (setting.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return { value }
+      if (fromEnv && (value === 'true' || value === 'false')) return { value: value === 'true' }
+      return reject('expected true or false')
+
+    case 'positiveInteger':
+    case 'nonNegativeInteger': {
+      const number = fromEnv && /^\d+$/.test(value) ? Number(value) : value
+      const min = setting.type === 'positiveInteger' ? 1 : 0
+      if (Number.isInteger(number) && number >= min) return { value: number }
+      return reject(`expected an integer >= ${min}`)
+    }
+
+    case 'level': {
+      const level = typeof value === 'string' ? value.toLowerCase() : value
+      if (Object.hasOwn(levelValues, level)) return { value: level }
+      return reject(`expected one of ${Object.keys(levelValues).join(', ')}`, createInvalidLogLevelError(String(value)))
+    }
+
+    case 'transportType': {
+      const type = typeof value === 'string' ? value.toLowerCase() : value
+      if (TRANSPORT_TYPES.includes(type)) return { value: type }
+      return reject(`expected one of ${TRANSPORT_TYPES.join(', ')}`)
+    }
+
+    case 'destination':
+      // В файле конфигурации дескриптор может быть задан числом
+      if (typeof value === 'string' || Number.isInteger(value)) return { value: String(value) }
+      return reject('expected a file path or a file descriptor number')
+
+    case 'namespaceLevels': {
+      if (typeof value !== 'string' && (typeof value !== 'object' || Array.isArray(value))) {
+        return reject('expected "pattern=level,..." or an object { pattern: level }')
+      }
+      const { rules, invalid } = parseNamespaceLevels(value, levelValues)
+      if (invalid.length > 0) {
+        return reject(`invalid rules ${invalid.join(', ')}: expected pattern=level with level one of ${Object.keys(levelValues).join(', ')}`)
+      }
+      return { value: rules }
+    }
+
+    case 'customLevels': {
+      if (typeof value !== 'string' && (typeof value !== 'object' || Array.isArray(value))) {
+        return reject('expected "name:value[:color][:always],..." or an object { name: value }')
+      }
+      const { levels, invalid } = parseCustomLevels(value)
+      if (invalid.length > 0) {
+        return reject(`invalid levels ${invalid.join(', ')}: expected a lowercase name that is not a standard level ` +
+          'or a logger method and a unique positive integer value')
+      }
+      return { value: levels }
+    }
+
+    case 'redactPaths':
+    case 'redactPatterns': {
+      if (typeof value !== 'string' && !Array.isArray(value)) return reject('expected a comma-separated list or an array')
+      const { rules, invalid } = setting.type === 'redactPaths' ? parseRedactPaths(value) : parseRedactPatterns(value)
+      if (invalid.length > 0) {
+        const expected = setting.type === 'redactPaths'
+          ? 'a path like a.b, *.password or a[*]["x-key"]'
+          : `one of ${BUILTIN_REDACT_PATTERNS.join(', ')} (or { pattern: RegExp } in the config file)`
+        return reject(`invalid rules ${invalid.join(', ')}: expected ${expected} with optional =${REDACT_STRATEGIES.join('|')}`)
+      }
+      return { value: rules }
+    }
+
+    case 'fieldList': {
+      if (typeof value !== 'string' && !Array.isArray(value)) return reject('expected a comma-separated list or an array')
+      const { fields, invalid } = parsePseudonymizeFields(value)
+      if (invalid.length > 0) return reject(`invalid field names ${invalid.join(', ')}: expected strings`)
+      return { value: fields }
+    }
+
+    case 'redactStrategy': {
+      const strategy = typeof value === 'string' ? value.toLowerCase() : value
+      if (REDACT_STRATEGIES.includes(strategy)) return { value: strategy }
+      return reject(`expected one of ${REDACT_STRATEGIES.join(', ')}`)
+    }
+
+    case 'interval':
+      if (typeof value !== 'string') return reject('expected a string')
+      try {
+        parseRotationInterval(value)
+        return { value }
+      } catch (error) {
+        return reject(`${error.message}; time-based rotation is disabled`, error)
+      }
+
+    default:
+      if (typeof value === 'string') return { value }
+      return reject('expected a string')
+  }
+}
+
+/**
+ * Читает группу настроек по схеме
+ *
+ * @param {SettingDefinition[]} settings - Схема настроек
+ * @param {function(SettingDefinition): {value: *, source: string}} getValue - Возвращает исходное значение
+ *        настройки и его источник
+ * @param {boolean} fromEnv - Значения получены из переменных окружения
+ * @param {SystemError[]} issues - Массив, в который добавляются ошибки проверки
+ * @param {Object<string, number>} [levelValues] - Допустимые уровни (с учетом пользовательских)
+ * @returns {Object} Объект с типизированными значениями (некорректные и незаданные - undefined)
+ * @private
+ */
+function readSettings (settings, getValue, fromEnv, issues, levelValues = LOG_LEVELS) {
+  const result = {}
+  for (const setting of settings) {
+    const { value, source } = getValue(setting)
+    const read = readSettingValue(setting, value, source, fromEnv, levelValues)
+    if (read.error) issues.push(read.error)
+    result[setting.key] = read.value
+  }
+  return result
+}
+
+/**
+ * Проверяет, что объект файла конфигурации не содержит неизвестных ключей
+ *
+ * @param {Object} object - Проверяемый объект
+ * @param {string[]} knownKeys - Допустимые ключи
+ * @param {string} sourcePrefix - Префикс источника для сообщения (например, `sys-logger.config.js:transports[0].`)
+ * @param {SystemError[]} issues - Массив, в который добавляются ошибки проверки
+ * @private
+ */
+function checkUnknownKeys (object, knownKeys, sourcePrefix, issues) {
+  for (const [key, value] of Object.entries(object)) {
+    if (!knownKeys.includes(key)) {
+      issues.push(createInvalidConfigValueError(`${sourcePrefix}${key}`, value, 'unknown setting'))
+    }
+  }
+}
+
+/**
+ * Сообщает об ошибках проверки конфигурации
+ *
+ * В обычном режиме выводит одно предупреждение со всеми ошибками (одинаковое предупреждение выводится
+ * один раз за процесс); некорректные значения заменяются значениями по умолчанию.
+ *
+ * @param {SystemError[]} issues - Ошибки проверки (INVALID_CONFIG_VALUE)
+ * @param {boolean} strict - Строгий режим (LOG_STRICT)
+ * @throws {SystemError} CONFIG_LOAD_FAILED (createConfigLoadError) - в строгом режиме при наличии ошибок;
+ *         первая ошибка доступна в `.original`
+ * @private
+ */
+function reportConfigIssues (issues, strict) {
+  if (issues.length === 0) return
+
+  if (strict) {
+    throw createConfigLoadError(
+      `invalid configuration (LOG_STRICT): ${issues.map(issue => issue.message).join('; ')}`,
+      issues[0]
+    )
+  }
+
+  const warning = '[SYS_LOGGER WARNING] Invalid logger configuration, default values are used instead:\n' +
+    issues.map(issue => `  - ${issue.message}`).join('\n')
+  if (reportedConfigWarnings.has(warning)) return
+  reportedConfigWarnings.add(warning)
+  // Используем console.error, так как логгер еще не готов
+  console.error(warning)
+}
+
+/**
+ * Приводит описание транспорта к полной конфигурации со значениями по умолчанию
+ *
+ * Общий шаг для транспортов из переменных окружения (`TRANSPORT{N}_*`) и из файла конфигурации
+ * (массив `transports`): оба источника дают одинаковые объекты для `createPinoTransports`.
+ *
+ * Детерминированная функция.
+ *
+ * @param {Object} raw - Проверенные значения транспорта (незаданные и некорректные - undefined)
+ * @returns {Object} Конфигурация транспорта
+ * @private
+ */
+function normalizeTransportConfig (raw) {
+  const type = raw.type
+
+  // 1. Создаем базовый объект с действительно общими полями
+  const config = {
+    type,
+    level: raw.level || 'info',
+    enabled: raw.enabled !== false,
+    sync: raw.sync === true
+  }
+
+  // 2. Добавляем опции строго в зависимости от типа транспорта
+  if (type === 'console') {
+    Object.assign(config, {
+      colors: raw.colors !== false,
+      translateTime: raw.translateTime || 'SYS:standard',
+      ignore: raw.ignore || 'pid,hostname',
+      singleLine: raw.singleLine === true,
+      hideObjectKeys: raw.hideObjectKeys || '',
+      showMetadata: raw.showMetadata === true,
+      timestampKey: raw.timestampKey || 'time'
+    })
+  } else if (type === 'file') {
+    Object.assign(config, {
+      folder: raw.folder || 'logs',
+      filename: raw.filename || '{app_name}.log',
+      destination: raw.destination || '',
+      mkdir: raw.mkdir !== false,
+      append: raw.append !== false,
+      prettyPrint: raw.prettyPrint === true,
+      // Опции ротации
+      rotate: raw.rotate === true,
+      rotateMaxSize: raw.rotateMaxSize || 10485760, // 10MB
+      rotateMaxFiles: raw.rotateMaxFiles || 5,
+      rotateMaxAge: raw.rotateMaxAge || 0, // дни, 0 - без ограничения
+      rotateMaxTotalSize: raw.rotateMaxTotalSize || 0, // 0 - без ограничения
+      rotateCompress: raw.rotateCompress === true,
+      rotateInterval: raw.rotateInterval || ''
+    })
+  }
+
+  return config
 }
 
 /**
  * Парсит настройки множественных транспортов из переменных окружения.
- * Эта функция строго разделяет парсинг опций по типам транспортов.
+ * Значения проверяются по схеме `TRANSPORT_SETTINGS`, значения по умолчанию применяет `normalizeTransportConfig`.
+ * Неизвестные переменные `TRANSPORT{N}_*` и транспорты после пропуска в нумерации считаются ошибками.
  *
  * @param {Object} env - Переменные окружения
+ * @param {SystemError[]} [issues=[]] - Массив, в который добавляются ошибки проверки
+ * @param {Object<string, number>} [levelValues] - Допустимые уровни (с учетом пользовательских)
  * @returns {Array} Массив конфигураций транспортов
  * @private
  */
-function parseTransportConfigs (env) {
+function parseTransportConfigs (env, issues = [], levelValues = LOG_LEVELS) {
   const transportConfigs = []
   let transportIndex = 1
 
   while (env[`TRANSPORT${transportIndex}`]) {
-    const prefix = `TRANSPORT${transportIndex}_`
-    const type = env[`TRANSPORT${transportIndex}`].toLowerCase()
-
-    // 1. Создаем базовый объект с действительно общими полями
-    const config = {
-      type,
-      level: env[`${prefix}LEVEL`] || 'info',
-      enabled: env[`${prefix}ENABLED`] !== 'false',
-      sync: env[`${prefix}SYNC`] === 'true'
-    }
+    const name = `TRANSPORT${transportIndex}`
+    const raw = readSettings(TRANSPORT_SETTINGS, ({ env: suffix }) => {
+      const source = suffix ? `${name}_${suffix}` : name
+      return { value: env[source], source }
+    }, true, issues, levelValues)
 
-    // 2. Добавляем опции строго в зависимости от типа транспорта
-    if (type === 'console') {
-      Object.assign(config, {
-        colors: env[`${prefix}COLORS`] !== 'false',
-        translateTime: env[`${prefix}TRANSLATE_TIME`] || 'SYS:standard',
-        ignore: env[`${prefix}IGNORE`] || 'pid,hostname',
-        singleLine: env[`${prefix}SINGLE_LINE`] === 'true',
-        hideObjectKeys: env[`${prefix}HIDE_OBJECT_KEYS`] || '',
-        showMetadata: env[`${prefix}SHOW_METADATA`] === 'true',
-        timestampKey: env[`${prefix}TIMESTAMP_KEY`] || 'time'
-      })
-    } else if (type === 'file') {
-      Object.assign(config, {
-        folder: env[`${prefix}FOLDER`] || 'logs',
-        filename: env[`${prefix}FILENAME`] || '{app_name}.log',
-        destination: env[`${prefix}DESTINATION`] || '',
-        mkdir: env[`${prefix}MKDIR`] !== 'false',
-        append: env[`${prefix}APPEND`] !== 'false',
-        prettyPrint: env[`${prefix}PRETTY_PRINT`] === 'true',
-        // Опции ротации
-        rotate: env[`${prefix}ROTATE`] === 'true',
-        rotateMaxSize: parseInt(env[`${prefix}ROTATE_MAX_SIZE`], 10) || 10485760, // 10MB
-        rotateMaxFiles: parseInt(env[`${prefix}ROTATE_MAX_FILES`], 10) || 5,
-        rotateCompress: env[`${prefix}ROTATE_COMPRESS`] === 'true'
-      })
-    }
-
-    transportConfigs.push(config)
+    transportConfigs.push(normalizeTransportConfig(raw))
     transportIndex++
   }
 
+  const knownSuffixes = TRANSPORT_SETTINGS.map(setting => setting.env).filter(Boolean)
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^TRANSPORT(\d+)(?:_(.+))?$/)
+    if (!match) continue
+
+    if (Number(match[1]) > transportConfigs.length) {
+      issues.push(createInvalidConfigValueError(key, value, 'transports must be numbered from 1 without gaps'))
+    } else if (match[2] && !knownSuffixes.includes(match[2])) {
+      issues.push(createInvalidConfigValueError(key, value, 'unknown transport setting'))
+    }
+  }
+
   return transportConfigs
 }
 
+/**
+ * Парсит транспорты из массива `transports` файла конфигурации
+ *
+ * @param {Object[]} transports - Описания транспортов из файла
+ * @param {SystemError[]} issues - Массив, в который добавляются ошибки проверки
+ * @param {Object<string, number>} [levelValues] - Допустимые уровни (с учетом пользовательских)
+ * @returns {Array} Массив конфигураций транспортов
+ * @private
+ */
+function parseFileTransportConfigs (transports, issues, levelValues = LOG_LEVELS) {
+  const knownKeys = [...TRANSPORT_SETTINGS.map(setting => setting.key), ...RESERVED_TRANSPORT_KEYS]
+
+  return transports.map((transport, index) => {
+    const sourcePrefix = `${CONFIG_FILENAME}:transports[${index}].`
+    if (!transport || typeof transport !== 'object') {
+      issues.push(createInvalidConfigValueError(sourcePrefix.slice(0, -1), transport, 'expected an object'))
+      return normalizeTransportConfig({})
+    }
+
+    checkUnknownKeys(transport, knownKeys, sourcePrefix, issues)
+    const raw = readSettings(TRANSPORT_SETTINGS, ({ key }) => {
+      return { value: transport[key], source: `${sourcePrefix}${key}` }
+    }, false, issues, levelValues)
+    return normalizeTransportConfig(raw)
+  })
+}
+
 /**
  * Создает транспорты Pino на основе конфигурации
  *
  * @param {Array} transportConfigs - Массив конфигураций транспортов
+ * @param {CustomLevel[]} [customLevels=[]] - Пользовательские уровни
  * @returns {Object} Объект транспорта Pino
  * @private
  */
-function createPinoTransports (transportConfigs) {
+function createPinoTransports (transportConfigs, customLevels = []) {
   const { pino, path } = dependencies
+  const levelValues = getLevelValues(customLevels)
+  const prettyLevelOptions = getPrettyLevelOptions(customLevels)
+  // Потоки воркера сравнивают уровни записей с порогами таргетов, в том числе пользовательскими
+  const levelOptions = customLevels.length > 0 ? { levels: levelValues } : {}
 
   const enabledTransports = transportConfigs.filter(t => t.enabled)
 
@@ -270,7 +790,8 @@ function createPinoTransports (transportConfigs) {
             translateTime: config.translateTime,
             ignore: config.ignore,
             singleLine: config.singleLine,
-            timestampKey: config.timestampKey
+            timestampKey: config.timestampKey,
+            ...prettyLevelOptions
           }
         }
       }
@@ -289,6 +810,17 @@ function createPinoTransports (transportConfigs) {
           destination = path.join(config.folder, processedFilename)
         }
 
+        // Некорректный интервал уже заменен пустой строкой при проверке конфигурации
+        const rotateInterval = config.rotateInterval
+        const rotates = config.rotate || Boolean(rotateInterval)
+
+        if (rotates && (config.prettyPrint || typeof destination === 'number')) {
+          console.error(
+            `[SYS_LOGGER WARNING] Rotation is not supported for destination "${destination}"` +
+            (config.prettyPrint ? ' with prettyPrint' : '') + '. The file will be written without rotation.'
+          )
+        }
+
         if (config.prettyPrint) {
           // Ветка ДА: используем pino-pretty
           return {
@@ -299,11 +831,32 @@ function createPinoTransports (transportConfigs) {
               colorize: true, // Разумный дефолт для вывода в консоль
               translateTime: 'SYS:standard',
               ignore: 'pid,hostname',
-              sync: config.sync
+              sync: config.sync,
+              ...prettyLevelOptions
+            }
+          }
+        } else if (typeof destination === 'string') {
+          // Файл по пути: собственный таргет поверх pino.destination (ротация, переоткрытие по запросу)
+          return {
+            level: config.level,
+            target: ROTATING_FILE_TARGET,
+            options: {
+              destination,
+              // Шаблон имени нужен таргету, чтобы вычислить его заново на границе интервала
+              ...(config.destination ? {} : { folder: config.folder, filename: config.filename }),
+              mkdir: config.mkdir,
+              append: config.append,
+              sync: config.sync,
+              maxSize: config.rotate ? config.rotateMaxSize : 0,
+              maxFiles: config.rotateMaxFiles,
+              maxAge: config.rotateMaxAge,
+              maxTotalSize: config.rotateMaxTotalSize,
+              compress: config.rotateCompress,
+              interval: rotateInterval
             }
           }
         } else {
-          // Ветка НЕТ: используем стандартный pino/file
+          // Файловый дескриптор: используем стандартный pino/file
           return {
             level: config.level,
             target: 'pino/file',
@@ -334,21 +887,24 @@ function createPinoTransports (transportConfigs) {
           target: 'pino-pretty',
           options: {
             colorize: true,
-            translateTime: 'SYS:standard'
+            translateTime: 'SYS:standard',
+            ...prettyLevelOptions
           }
-        }]
+        }],
+        ...levelOptions
       })
     }
   }
 
   const transportOptions = {
     targets,
+    ...levelOptions,
     dedupe: false
   }
 
   try {
     return {
-      level: Math.min(...targets.map(t => getLevelValue(t.level))),
+      level: Math.min(...targets.map(t => getLevelValue(t.level, levelValues))),
       transport: pino.transport(transportOptions)
     }
   } catch (error) {
@@ -412,31 +968,212 @@ function createLegacyTransports (config) {
 }
 
 /**
- * Загружает конфигурацию логгера из переменных окружения
+ * Ищет файл конфигурации, начиная с указанной директории и двигаясь вверх по иерархии папок
+ *
+ * Поиск останавливается на первой найденной конфигурации, на директории с маркером корня проекта
+ * (`package.json`, `.git`) - ее конфигурация проверяется, но выше поиск не идет - или в корне файловой системы.
+ *
+ * @param {string} [startDir=process.cwd()] - Начальная директория поиска
+ * @param {Object} [options={}] - Дополнительные опции
+ * @param {string} [options.configFilename='sys-logger.config.js'] - Имя файла конфигурации
+ * @param {number} [options.maxDepth=10] - Максимальное число уровней поиска
+ * @param {string[]} [options.stopMarkers=['package.json', '.git']] - Файлы, указывающие на корень проекта
+ * @returns {string|null} Путь к найденному файлу или null
+ */
+export function findConfigFile (startDir = process.cwd(), options = {}) {
+  const { fs, path } = dependencies
+  const {
+    configFilename = CONFIG_FILENAME,
+    maxDepth = MAX_CONFIG_SEARCH_DEPTH,
+    stopMarkers = PROJECT_ROOT_MARKERS
+  } = options
+  let currentDir = path.resolve(startDir)
+
+  for (let depth = 0; depth < maxDepth; depth++) {
+    const configPath = path.join(currentDir, configFilename)
+    if (fs.existsSync(configPath)) {
+      return configPath
+    }
+
+    // Корень проекта без конфигурации - выше не ищем
+    if (stopMarkers.some(marker => fs.existsSync(path.join(currentDir, marker)))) {
+      return null
+    }
+
+    const parentDir = path.dirname(currentDir)
+    if (parentDir === currentDir) {
+      return null // Достигли корня файловой системы
+    }
+    currentDir = parentDir
+  }
+
+  return null
+}
+
+/**
+ * Загружает файл конфигурации логгера
+ *
+ * Файл должен экспортировать объект конфигурации через `export default` (см. docs/NEW_CONFIG.md).
+ *
+ * Модули ES кэшируются, поэтому для чтения измененного файла нужна опция `reload`: файл импортируется
+ * заново под уникальным URL (каждая версия файла остается в кэше модулей до завершения процесса).
+ *
+ * @param {string} filePath - Путь к файлу конфигурации
+ * @param {Object} [options] - Опции загрузки
+ * @param {boolean} [options.reload=false] - Импортировать файл заново, даже если он уже загружен
+ * @returns {Promise<Object>} Объект конфигурации
+ * @throws {SystemError} CONFIG_LOAD_FAILED (createConfigLoadError) - если файл не удалось импортировать,
+ *         он не экспортирует объект или `transports` не является массивом
+ */
+export async function loadConfigFile (filePath, options = {}) {
+  const { path, importModule } = dependencies
+  const absolutePath = path.resolve(filePath)
+  const url = pathToFileURL(absolutePath)
+  if (options.reload) {
+    url.searchParams.set('reload', `${Date.now()}-${++configReloadCounter}`)
+  }
+
+  let module
+  try {
+    module = await importModule(url.href)
+  } catch (error) {
+    throw createConfigLoadError(`${absolutePath}: ${error.message}`, error)
+  }
+
+  const fileConfig = module.default
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw createConfigLoadError(`${absolutePath}: default export must be a configuration object`)
+  }
+  if (fileConfig.transports !== undefined && !Array.isArray(fileConfig.transports)) {
+    throw createConfigLoadError(`${absolutePath}: "transports" must be an array`)
+  }
+
+  return fileConfig
+}
+
+/**
+ * Возвращает конфигурацию, загруженную из файла при запуске (`loadStartupFileConfig`) или замененную `setFileConfig`
+ * @returns {Object|null} Объект конфигурации или null, если файл не найден или не загружен
+ */
+export function getFileConfig () {
+  return dependencies.fileConfig
+}
+
+/**
+ * Возвращает путь к файлу конфигурации, найденному при запуске (`loadStartupFileConfig`)
+ * @returns {string|null} Абсолютный путь или null, если файл не найден или не загружен
+ */
+export function getConfigFilePath () {
+  return dependencies.fileConfigPath
+}
+
+/**
+ * Заменяет конфигурацию из файла, которая используется при следующих вызовах `loadConfig` и `createTransport`
+ * @param {Object|null} fileConfig - Объект конфигурации в формате `sys-logger.config.js` или null
+ */
+export function setFileConfig (fileConfig) {
+  dependencies.fileConfig = fileConfig
+}
+
+/**
+ * Проверяет, является ли объект конфигурацией в формате `sys-logger.config.js`, а не набором переменных окружения
+ *
+ * Объект считается конфигурацией, если содержит хотя бы один ключ файла конфигурации (`logLevel`, `transports`
+ * и т.д.).
+ *
+ * Детерминированная функция.
+ *
+ * @param {Object} value - Проверяемый объект
+ * @returns {boolean} true для объекта конфигурации
+ */
+export function isFileConfig (value) {
+  return Boolean(value) && typeof value === 'object' && FILE_CONFIG_KEYS.some(key => Object.hasOwn(value, key))
+}
+
+/**
+ * Находит и загружает файл конфигурации при запуске и делает его текущей конфигурацией из файла
+ *
+ * Вызывается один раз из logger.js. Ошибка загрузки не прерывает инициализацию: выводится предупреждение,
+ * и используются только переменные окружения.
+ *
+ * @param {Object} [env=dependencies.env] - Переменные окружения
+ * @returns {Promise<Object|null>} Объект конфигурации или null
+ */
+export async function loadStartupFileConfig (env = dependencies.env) {
+  const filePath = env.LOG_CONFIG_FILE || findConfigFile()
+  if (!filePath) return null
+
+  // Путь сохраняется и при ошибке загрузки: исправленный файл подхватит отслеживание изменений
+  dependencies.fileConfigPath = dependencies.path.resolve(filePath)
+  try {
+    dependencies.fileConfig = await loadConfigFile(filePath)
+  } catch (error) {
+    console.error(`[SYS_LOGGER WARNING] ${error.message}. The config file is ignored.`)
+    dependencies.fileConfig = null
+  }
+  return dependencies.fileConfig
+}
+
+/**
+ * Загружает конфигурацию логгера из переменных окружения и файла конфигурации
  *
  * Основная ответственность:
- * - Загрузка настроек из env переменных
+ * - Загрузка настроек из env переменных и файла `sys-logger.config.js`
+ * - Проверка значений по схеме настроек (`BASE_SETTINGS`, `TRANSPORT_SETTINGS`)
  * - Применение значений по умолчанию
- * - Валидация значений
+ *
+ * Значение из переменной окружения имеет приоритет над значением из файла. Транспорты берутся
+ * из `TRANSPORT{N}`, если заданы, иначе из `transports` файла. Пользовательские уровни (`LOG_CUSTOM_LEVELS`)
+ * читаются первыми: их имена допустимы в остальных настройках уровней.
+ *
+ * Некорректные значения и неизвестные ключи сообщаются ошибками INVALID_CONFIG_VALUE с указанием источника
+ * (например, `TRANSPORT2_LEVEL` или `sys-logger.config.js:transports[0].level`). По умолчанию выводится
+ * одно предупреждение, и вместо некорректных значений используются значения по умолчанию.
  *
  * @param {Object} env - Переменные окружения
+ * @param {Object|null} [fileConfig] - Конфигурация из файла (по умолчанию - загруженная при запуске)
  * @returns {Object} Конфигурация логгера с настройками транспортов и форматирования
+ * @throws {SystemError} CONFIG_LOAD_FAILED (createConfigLoadError) - при ошибках проверки в строгом режиме
+ *         (LOG_STRICT=true или `strict: true` в файле)
  */
-export function loadConfig (env) {
-  const config = {
-    // Базовые настройки (для обратной совместимости)
-    logLevel: env.LOG_LEVEL || 'info',
-    colorize: env.LOG_COLORIZE !== 'false',
-    fileOutput: env.LOG_FILE_OUTPUT !== 'false',
-    consoleOutput: env.LOG_CONSOLE_OUTPUT !== 'false',
-    logFolder: env.LOG_FOLDER || 'logs',
-    sync: env.LOG_SYNC === 'true',
-    pretty: env.LOG_PRETTY === 'true',
-
-    // Загружаем настройки множественных транспортов
-    transportConfigs: parseTransportConfigs(env)
+export function loadConfig (env, fileConfig = dependencies.fileConfig) {
+  const file = fileConfig || {}
+  const issues = []
+
+  if (fileConfig) {
+    checkUnknownKeys(file, FILE_CONFIG_KEYS, `${CONFIG_FILENAME}:`, issues)
   }
 
+  const getEnvValue = setting => ({ value: env[setting.env], source: setting.env })
+  const getFileValue = setting => ({ value: file[setting.key], source: `${CONFIG_FILENAME}:${setting.key}` })
+
+  const customLevels = readSettings([CUSTOM_LEVELS_SETTING], getEnvValue, true, issues).customLevels ??
+    readSettings([CUSTOM_LEVELS_SETTING], getFileValue, false, issues).customLevels ?? []
+  const levelValues = getLevelValues(customLevels)
+
+  const fromEnv = readSettings(BASE_SETTINGS, getEnvValue, true, issues, levelValues)
+  const fromFile = readSettings(BASE_SETTINGS, getFileValue, false, issues, levelValues)
+
+  // Базовые настройки (для обратной совместимости): окружение > файл > значение по умолчанию
+  const config = { customLevels }
+  for (const setting of BASE_SETTINGS) {
+    config[setting.key] = fromEnv[setting.key] ?? fromFile[setting.key] ?? setting.default
+  }
+
+  // Загружаем настройки множественных транспортов
+  const envTransports = parseTransportConfigs(env, issues, levelValues)
+  config.transportConfigs = envTransports.length > 0 || !Array.isArray(file.transports)
+    ? envTransports
+    : parseFileTransportConfigs(file.transports, issues, levelValues)
+
+  // Без ключа значения полей заменяются заглушкой (см. pseudonymize.js) - сообщаем о неполной настройке
+  if (config.pseudonymizeFields?.length > 0 && !env.LOG_PSEUDONYMIZE_KEY) {
+    issues.push(createInvalidConfigValueError('LOG_PSEUDONYMIZE_KEY', '',
+      'required when LOG_PSEUDONYMIZE_FIELDS is set; the fields are written as a placeholder'))
+  }
+
+  reportConfigIssues(issues, config.strict)
+
   return config
 }
 
@@ -444,21 +1181,25 @@ export function loadConfig (env) {
  * Создает конфигурацию транспорта для pino
  *
  * @param {Object} env - Переменные окружения
- * @returns {Object} Конфигурация транспорта для pino
+ * @param {Object|null} [fileConfig] - Конфигурация из файла (по умолчанию - текущая, см. `getFileConfig`)
+ * @returns {Object} Конфигурация транспорта для pino: `{ level, transport, customLevels }`
  * @throws {SystemError} LOG_TRANSPORT_INIT_FAILED при любых ошибках инициализации,
  *         включая LOG_DIR_CREATE_FAILED в originalError при проблемах с директорией
  */
-export function createTransport (env) {
+export function createTransport (env, fileConfig = dependencies.fileConfig) {
   try {
     const { pino, pretty } = dependencies
-    const config = loadConfig(env)
+    const config = loadConfig(env, fileConfig)
 
+    const { customLevels } = config
     if (config.transportConfigs && config.transportConfigs.length > 0) {
-      return createPinoTransports(config.transportConfigs)
+      return { ...createPinoTransports(config.transportConfigs, customLevels), customLevels }
     }
 
     const appName = loadAppInfo().name
-    const numericLevel = getLevelValue(config.logLevel)
+    const levelValues = getLevelValues(customLevels)
+    const prettyLevelOptions = getPrettyLevelOptions(customLevels)
+    const numericLevel = getLevelValue(config.logLevel, levelValues)
     const streams = []
 
     if (config.fileOutput) {
@@ -475,7 +1216,8 @@ export function createTransport (env) {
         colorize: config.colorize,
         translateTime: 'SYS:standard',
         ignore: 'pid,hostname',
-        sync: true
+        sync: true,
+        ...prettyLevelOptions
       }
       streams.push({ level: numericLevel, stream: pretty(prettyOptions) })
     }
@@ -485,13 +1227,16 @@ export function createTransport (env) {
         colorize: config.colorize,
         translateTime: 'SYS:standard',
         ignore: 'pid,hostname',
-        sync: true
+        sync: true,
+        ...prettyLevelOptions
       }
       streams.push({ level: numericLevel, stream: pretty(prettyOptions) })
     }
 
-    const transport = pino.multistream(streams)
-    return { level: numericLevel, transport }
+    const transport = customLevels.length > 0
+      ? pino.multistream(streams, { levels: levelValues })
+      : pino.multistream(streams)
+    return { level: numericLevel, transport, customLevels }
   } catch (error) {
     throw createTransportError(error.message, error)
   }
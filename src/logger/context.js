@@ -0,0 +1,67 @@
+/**
+ * @file src/logger/context.js
+ * @description Контекст логирования для асинхронной цепочки вызовов (AsyncLocalStorage)
+ * @version 0.1.0
+ *
+ * @description
+ * Контекст (например, `{ requestId }`) задается один раз на входе в обработку запроса и добавляется
+ * во все записи логгеров из `createLogger`, сделанные в этой асинхронной цепочке, - без передачи
+ * дочерних логгеров через все вызовы:
+ * ```javascript
+ * app.use((req, res, next) => runWithLogContext({ requestId: req.id }, next))
+ * // ... глубоко в слое работы с БД:
+ * logger.info('Query executed') // -> { requestId: '...', msg: 'Query executed' }
+ * ```
+ *
+ * Объединение контекста с записью выполняет `wrapLogMethod` в logger.js: поля записи имеют приоритет
+ * над полями контекста, к контексту применяются преобразование значений и скрытие данных.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+// Хранилище контекста: объект с bindings текущей асинхронной цепочки
+const storage = new AsyncLocalStorage()
+
+/**
+ * Выполняет функцию с контекстом логирования
+ *
+ * Вложенный вызов дополняет внешний контекст: `runWithLogContext({ requestId }, () =>
+ * runWithLogContext({ userId }, fn))` - в записях `fn` оба поля. После выхода из функции (и завершения
+ * ее асинхронных операций) контекст снова внешний.
+ *
+ * @template T
+ * @param {Object} bindings - Поля контекста
+ * @param {function(): T} fn - Функция (синхронная или асинхронная)
+ * @returns {T} Результат функции
+ */
+export function runWithLogContext (bindings, fn) {
+  return storage.run({ ...storage.getStore(), ...bindings }, fn)
+}
+
+/**
+ * Дополняет текущий контекст логирования
+ *
+ * Внутри `runWithLogContext` поля добавляются в контекст этого вызова (их видят и уже начатые в нем
+ * асинхронные операции). Вне его контекст устанавливается для оставшейся части текущей синхронной
+ * операции и запущенных из нее асинхронных операций (`AsyncLocalStorage.enterWith`).
+ *
+ * @param {Object} bindings - Поля контекста
+ * @returns {void}
+ */
+export function setLogContext (bindings) {
+  const store = storage.getStore()
+  if (store) {
+    Object.assign(store, bindings)
+  } else {
+    storage.enterWith({ ...bindings })
+  }
+}
+
+/**
+ * Возвращает текущий контекст логирования
+ * @returns {Object|undefined} Копия полей контекста или undefined вне контекста
+ */
+export function getLogContext () {
+  const store = storage.getStore()
+  return store && { ...store }
+}
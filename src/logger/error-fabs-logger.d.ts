@@ -1,12 +1,32 @@
 /**
  * @file src/logger/error-fabs-logger.d.ts
  * @description TypeScript декларации для фабрик ошибок подсистемы логирования.
- * @version 0.2.0
+ * @version 0.5.0
  */
 
 // Импортируем тип SystemError, если он доступен
 type SystemError = any; // Или: import { SystemError } from '@fab33/sys-errors';
 
+/**
+ * Создает ошибку загрузки конфигурации логгера.
+ * Возникает, если файл `sys-logger.config.js` не удалось импортировать или он экспортирует не объект.
+ * @param {string} reason - Строковое описание причины ошибки (включая путь к файлу).
+ * @param {Error | null} [originalError] - Исходная ошибка импорта, если была.
+ * @returns {SystemError} Экземпляр системной ошибки с кодом CONFIG_LOAD_FAILED.
+ */
+export function createConfigLoadError (reason: string, originalError?: Error | null): SystemError;
+
+/**
+ * Создает ошибку некорректного значения настройки логгера.
+ * Возникает при проверке конфигурации (`loadConfig`) для переменных окружения и ключей `sys-logger.config.js`.
+ * @param {string} source - Источник значения: имя переменной окружения (например, `TRANSPORT2_LEVEL`) или ключ файла.
+ * @param {unknown} value - Некорректное значение.
+ * @param {string} reason - Строковое описание причины ошибки.
+ * @param {Error | null} [originalError] - Исходная ошибка (например, INVALID_LOG_LEVEL).
+ * @returns {SystemError} Экземпляр системной ошибки с кодом INVALID_CONFIG_VALUE.
+ */
+export function createInvalidConfigValueError (source: string, value: unknown, reason: string, originalError?: Error | null): SystemError;
+
 /**
  * Создает ошибку неверного уровня логирования.
  * Используется, когда в конфигурации или при вызове указан нераспознанный уровень.
@@ -46,6 +66,16 @@ export function createLogWriteError (path: string, reason: string, originalError
  */
 export function createRotateError (path: string, reason: string, originalError?: Error | null): SystemError;
 
+/**
+ * Создает ошибку некорректного интервала ротации по времени (`TRANSPORT{N}_ROTATE_INTERVAL`).
+ * Возникает, если значение не является пресетом (hourly, daily, weekly) или корректным cron-выражением.
+ * @param {string} interval - Некорректное значение интервала.
+ * @param {string} reason - Строковое описание причины ошибки.
+ * @param {Error | null} [originalError] - Исходная ошибка, если была.
+ * @returns {SystemError} Экземпляр системной ошибки с кодом INVALID_ROTATE_INTERVAL.
+ */
+export function createRotateIntervalError (interval: string, reason: string, originalError?: Error | null): SystemError;
+
 /**
  * Создает ошибку, возникшую при попытке очистки (удаления) старых архивных лог-файлов.
  * @param {string} reason - Строковое описание причины ошибки (например, 'readdir failed', 'unlink failed').
@@ -1,7 +1,7 @@
 /**
  * @file src/logger/error-fabs-logger.js
  * @description Фабрики ошибок подсистемы логирования
- * @version 0.2.0
+ * @version 0.5.0
  */
 import { createError } from '@fab33/sys-errors'
 import { LOGGER_ERROR_CODES } from './errors-logger.js'
@@ -21,6 +21,38 @@ export function setDependencies (newDependencies) {
   Object.assign(dependencies, newDependencies)
 }
 
+/**
+ * Создает ошибку загрузки конфигурации логгера
+ *
+ * Используется загрузчиком файла конфигурации `sys-logger.config.js` (src/logger/config.js).
+ *
+ * @param {string} reason - Причина ошибки (включая путь к файлу)
+ * @param {Error} [originalError] - Исходная ошибка
+ */
+export function createConfigLoadError (reason, originalError = null) {
+  const { createError } = dependencies
+  return createError(LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED, { reason }, originalError)
+}
+
+/**
+ * Создает ошибку некорректного значения настройки
+ *
+ * Используется проверкой конфигурации в `loadConfig` (src/logger/config.js), код INVALID_CONFIG_VALUE.
+ *
+ * @param {string} source - Источник значения (переменная окружения или ключ файла конфигурации)
+ * @param {*} value - Некорректное значение
+ * @param {string} reason - Причина ошибки
+ * @param {Error} [originalError] - Исходная ошибка (например, INVALID_LOG_LEVEL)
+ */
+export function createInvalidConfigValueError (source, value, reason, originalError = null) {
+  const { createError } = dependencies
+  return createError(LOGGER_ERROR_CODES.INVALID_CONFIG_VALUE, {
+    source,
+    value: String(value),
+    reason
+  }, originalError)
+}
+
 /**
  * Создает ошибку неверного уровня логирования
  *
@@ -77,6 +109,23 @@ export function createRotateError (path, reason, originalError = null) {
   }, originalError)
 }
 
+/**
+ * Создает ошибку некорректного интервала ротации
+ *
+ * Фабрика для `parseRotationInterval` (src/logger/rotate.js), код INVALID_ROTATE_INTERVAL.
+ *
+ * @param {string} interval - Некорректный интервал
+ * @param {string} reason - Причина ошибки
+ * @param {Error} [originalError] - Исходная ошибка
+ */
+export function createRotateIntervalError (interval, reason, originalError = null) {
+  const { createError } = dependencies
+  return createError(LOGGER_ERROR_CODES.INVALID_ROTATE_INTERVAL, {
+    interval,
+    reason
+  }, originalError)
+}
+
 /**
  * Создает ошибку очистки архивов
  *
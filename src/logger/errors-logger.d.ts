@@ -1,7 +1,7 @@
 /**
  * @file src/logger/errors-logger.d.ts
  * @description TypeScript декларации для кодов ошибок подсистемы логирования.
- * @version 0.2.0
+ * @version 0.4.0
  */
 
 /**
@@ -28,6 +28,8 @@ export interface ErrorCodeDefinition {
 export const LOGGER_ERROR_CODES: {
   /** @property {ErrorCodeDefinition} CONFIG_LOAD_FAILED - Ошибка загрузки конфигурации логгера. */
   CONFIG_LOAD_FAILED: ErrorCodeDefinition;
+  /** @property {ErrorCodeDefinition} INVALID_CONFIG_VALUE - Некорректное значение настройки (переменной окружения или ключа файла). */
+  INVALID_CONFIG_VALUE: ErrorCodeDefinition;
   /** @property {ErrorCodeDefinition} INVALID_LOG_LEVEL - Указан неверный уровень логирования. */
   INVALID_LOG_LEVEL: ErrorCodeDefinition;
   /** @property {ErrorCodeDefinition} LOG_DIR_CREATE_FAILED - Не удалось создать директорию для логов. */
@@ -36,6 +38,8 @@ export const LOGGER_ERROR_CODES: {
   LOG_FILE_WRITE_FAILED: ErrorCodeDefinition;
   /** @property {ErrorCodeDefinition} ROTATE_FAILED - Ошибка при попытке ротации лог-файла. */
   ROTATE_FAILED: ErrorCodeDefinition;
+  /** @property {ErrorCodeDefinition} INVALID_ROTATE_INTERVAL - Некорректный интервал ротации по времени. */
+  INVALID_ROTATE_INTERVAL: ErrorCodeDefinition;
   /** @property {ErrorCodeDefinition} CLEANUP_FAILED - Ошибка при удалении старых архивных лог-файлов. */
   CLEANUP_FAILED: ErrorCodeDefinition;
   /** @property {ErrorCodeDefinition} FORMAT_FAILED - Ошибка при форматировании лог-сообщения. */
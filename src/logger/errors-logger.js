@@ -1,7 +1,7 @@
 /**
  * @file src/logger/errors-logger.js
  * @description Определение ошибок подсистемы логирования
- * @version 0.2.0
+ * @version 0.4.0
  */
 
 /**
@@ -17,6 +17,19 @@ export const LOGGER_ERROR_CODES = {
     docs: 'docs/errors/logger.md#config-load-failed'
   },
 
+  /**
+   * Некорректное значение настройки
+   * Используется при проверке конфигурации в `loadConfig` (src/logger/config.js);
+   * `source` - переменная окружения или ключ файла конфигурации
+   */
+  INVALID_CONFIG_VALUE: {
+    code: 'LOG_INVALID_CONFIG_VALUE',
+    message: 'Invalid configuration value {source}="{value}": {reason}',
+    subsystem: 'logger',
+    recoverable: true,
+    docs: 'docs/errors/logger.md#invalid-config-value'
+  },
+
   INVALID_LOG_LEVEL: {
     code: 'LOG_INVALID_LEVEL',
     message: 'Invalid log level: {level}',
@@ -51,6 +64,18 @@ export const LOGGER_ERROR_CODES = {
     docs: 'docs/errors/logger.md#rotate-failed'
   },
 
+  /**
+   * Некорректный интервал ротации по времени
+   * Специфическая ошибка `parseRotationInterval` (src/logger/rotate.js)
+   */
+  INVALID_ROTATE_INTERVAL: {
+    code: 'LOG_INVALID_ROTATE_INTERVAL',
+    message: 'Invalid rotation interval "{interval}": {reason}',
+    subsystem: 'logger',
+    recoverable: true,
+    docs: 'docs/errors/logger.md#invalid-rotate-interval'
+  },
+
   CLEANUP_FAILED: {
     code: 'LOG_CLEANUP_FAILED',
     message: 'Failed to cleanup old log archives: {reason}',
@@ -0,0 +1,130 @@
+/**
+ * @file src/logger/filename-template.js
+ * @description Шаблоны имен лог-файлов ({date}, {app_name}, {pid}, ...)
+ * @version 0.1.0
+ *
+ * @description
+ * Модуль используется и в основном потоке (config.js), и в worker-потоке транспорта (rotating-file.js),
+ * поэтому не должен иметь побочных эффектов при импорте и не должен импортировать config.js или logger.js.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const DEFAULT_APP_NAME = 'app'
+
+// Части имени, которые меняются между файлами одного шаблона (в виде RegExp)
+const VARIABLE_PLACEHOLDER_PATTERNS = {
+  date: '\\d{4}-\\d{2}-\\d{2}',
+  time: '\\d{2}-\\d{2}-\\d{2}',
+  datetime: '\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}',
+  pid: '\\d+'
+}
+
+/**
+ * Зависимости модуля
+ */
+export const dependencies = {
+  fs,
+  path
+}
+
+/**
+ * Устанавливает зависимости модуля
+ * @param {Partial<typeof dependencies>} newDependencies - Новые зависимости
+ */
+export function setDependencies (newDependencies) {
+  Object.assign(dependencies, newDependencies)
+}
+
+/**
+ * Загружает имя и версию приложения из package.json
+ *
+ * При отсутствии файла или поля name возвращает значения по умолчанию.
+ *
+ * @returns {Object} Объект с именем и версией приложения
+ */
+export function loadAppInfo () {
+  const { fs, path } = dependencies
+  try {
+    const __filename = fileURLToPath(import.meta.url)
+    const __dirname = path.dirname(__filename)
+    const packagePath = path.join(__dirname, '../../package.json')
+    const packageContent = fs.readFileSync(packagePath, 'utf-8')
+    const { name, version } = JSON.parse(packageContent)
+    return {
+      name: name || DEFAULT_APP_NAME,
+      version: version || '1.0.0'
+    }
+  } catch (error) {
+    return {
+      name: DEFAULT_APP_NAME,
+      version: '1.0.0'
+    }
+  }
+}
+
+/**
+ * Обрабатывает шаблоны в имени файла, заменяя их фактическими значениями
+ *
+ * Поддерживаемые шаблоны:
+ * - {date} - текущая дата (YYYY-MM-DD)
+ * - {time} - текущее время (HH-mm-ss)
+ * - {datetime} - комбинация даты и времени (YYYY-MM-DD_HH-mm-ss)
+ * - {app_name} - имя приложения из package.json
+ * - {app_version} - версия приложения из package.json
+ * - {pid} - ID процесса
+ * - {hostname} - имя хоста
+ *
+ * Дата и время берутся в UTC. Для ротации по времени шаблон вычисляется для времени границы интервала.
+ *
+ * @param {string} template - Шаблон имени файла
+ * @param {Date} [now=new Date()] - Момент, для которого вычисляются {date}, {time} и {datetime}
+ * @returns {string} Обработанное имя файла
+ */
+export function processFilenameTemplate (template, now = new Date()) {
+  if (!template) return 'app.log'
+
+  const dateStr = now.toISOString().split('T')[0]
+  const timeStr = now.toISOString().split('T')[1].replace(/:/g, '-').split('.')[0]
+  const datetimeStr = `${dateStr}_${timeStr}`
+
+  const appInfo = loadAppInfo()
+
+  return template
+    .replace(/{date}/g, dateStr)
+    .replace(/{time}/g, timeStr)
+    .replace(/{datetime}/g, datetimeStr)
+    .replace(/{app_name}/g, appInfo.name)
+    .replace(/{app_version}/g, appInfo.version)
+    .replace(/{pid}/g, process.pid)
+    .replace(/{hostname}/g, os.hostname())
+}
+
+/**
+ * Возвращает RegExp имен файлов, которые создаются по шаблону в разные моменты времени
+ *
+ * Учитывается только имя файла (без папок шаблона): {date}, {time}, {datetime} и {pid} соответствуют любым
+ * значениям, остальные шаблоны заменяются текущими значениями. Используется для применения политик хранения
+ * к прежним файлам при ротации по времени (см. rotating-file.js).
+ *
+ * @param {string} template - Шаблон имени файла
+ * @returns {RegExp} Регулярное выражение для имени файла без папки
+ */
+export function getFilenameTemplatePattern (template) {
+  const escape = (value) => String(value).replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')
+  const appInfo = loadAppInfo()
+  const values = { app_name: appInfo.name, app_version: appInfo.version, hostname: os.hostname() }
+
+  const source = dependencies.path.basename(template || 'app.log')
+    .split(/(\{\w+\})/)
+    .map((part, index) => {
+      if (index % 2 === 0) return escape(part)
+      const name = part.slice(1, -1)
+      return VARIABLE_PLACEHOLDER_PATTERNS[name] ?? escape(values[name] ?? part)
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
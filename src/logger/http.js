@@ -0,0 +1,164 @@
+/**
+ * @file src/logger/http.js
+ * @description Журнал HTTP запросов (access log) для node:http и серверов в стиле Express/Connect
+ * @version 0.1.0
+ *
+ * @description
+ * Middleware записывает по одной записи на запрос после отправки ответа: метод, URL, статус, длительность,
+ * размеры запроса и ответа. Уровень выбирается по статусу (5xx - error, 4xx - warn, остальные - info),
+ * запрос, прерванный клиентом до отправки ответа, записывается с уровнем warn.
+ *
+ * Идентификатор запроса берется из заголовка (по умолчанию `x-request-id`) или создается, возвращается
+ * в том же заголовке ответа и доступен как `req.id`. В `req.log` - дочерний логгер с `requestId`.
+ * Обработчик `next` выполняется в контексте логирования с `requestId` (см. context.js), поэтому
+ * идентификатор есть во всех записях, сделанных при обработке запроса.
+ *
+ * Логгер и функцию контекста передает logger.js (см. `httpLogger`): модуль не импортирует logger.js,
+ * чтобы не создавать циклической зависимости.
+ */
+
+import { randomUUID } from 'crypto'
+
+// Заголовок идентификатора запроса по умолчанию
+export const DEFAULT_REQUEST_ID_HEADER = 'x-request-id'
+
+// Допустимый идентификатор из заголовка запроса: значение попадает в лог и в заголовок ответа
+const REQUEST_ID_PATTERN = /^[\w.:@/+=-]{1,128}$/
+
+/**
+ * Зависимости модуля
+ */
+export const dependencies = {
+  Date,
+  randomUUID
+}
+
+/**
+ * Устанавливает зависимости модуля
+ * @param {Partial<typeof dependencies>} newDependencies - Новые зависимости
+ */
+export function setDependencies (newDependencies) {
+  Object.assign(dependencies, newDependencies)
+}
+
+/**
+ * Возвращает уровень записи по статусу ответа
+ * @param {number} statusCode - Статус ответа
+ * @returns {string} Уровень: error для 5xx, warn для 4xx, info для остальных
+ */
+export function getStatusLevel (statusCode) {
+  if (statusCode >= 500) return 'error'
+  if (statusCode >= 400) return 'warn'
+  return 'info'
+}
+
+/**
+ * @typedef {Object} RequestLoggerOptions
+ * @property {Object} logger - Логгер для записей о запросах (результат `createLogger`)
+ * @property {function(Object, Function): *} [runWithContext] - Выполняет функцию с контекстом логирования
+ *           (`runWithLogContext`)
+ * @property {string} [requestIdHeader='x-request-id'] - Заголовок идентификатора запроса
+ * @property {function(Object): string} [generateRequestId] - Создает идентификатор для запроса без заголовка
+ *           (по умолчанию - UUID)
+ * @property {function(Object, Object): string} [getLevel] - Уровень записи по запросу и ответу
+ *           (по умолчанию - по статусу, см. `getStatusLevel`)
+ * @property {function(Object): boolean} [ignore] - Не записывать запрос (например, проверки готовности)
+ */
+
+/**
+ * Создает middleware журнала HTTP запросов
+ *
+ * Сигнатура `(req, res, next)` подходит для Express/Connect; для `http.createServer` обработчик можно передать
+ * третьим аргументом или вызвать после middleware:
+ * ```javascript
+ * http.createServer((req, res) => logRequests(req, res, () => handle(req, res)))
+ * ```
+ *
+ * @param {RequestLoggerOptions} options - Настройки
+ * @returns {function(Object, Object, Function=): *} Middleware
+ */
+export function createRequestLogger (options) {
+  const {
+    logger,
+    runWithContext = (bindings, fn) => fn(),
+    requestIdHeader = DEFAULT_REQUEST_ID_HEADER,
+    generateRequestId = () => dependencies.randomUUID(),
+    getLevel = (req, res) => getStatusLevel(res.statusCode),
+    ignore
+  } = options
+  const headerName = requestIdHeader.toLowerCase()
+
+  return function logRequests (req, res, next) {
+    const startTime = dependencies.Date.now()
+    const incomingId = req.headers[headerName]
+    const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId)
+      ? incomingId
+      : generateRequestId(req)
+
+    req.id = requestId
+    req.log = logger.child({ requestId })
+    if (!res.headersSent) res.setHeader(requestIdHeader, requestId)
+
+    if (!ignore?.(req)) {
+      const getResponseSize = countResponseBytes(res)
+      let logged = false
+
+      /**
+       * Записывает завершение запроса
+       * @param {boolean} aborted - Клиент закрыл соединение до отправки ответа
+       */
+      const logCompletion = (aborted) => {
+        if (logged) return
+        logged = true
+        const record = {
+          method: req.method,
+          url: req.originalUrl ?? req.url,
+          statusCode: res.statusCode,
+          duration: dependencies.Date.now() - startTime,
+          requestSize: Number(req.headers['content-length']) || 0,
+          responseSize: getResponseSize()
+        }
+        if (aborted) {
+          req.log.warn({ ...record, aborted: true }, '%s %s aborted after %d ms', record.method, record.url, record.duration)
+        } else {
+          const level = getLevel(req, res)
+          req.log[level]?.(record, '%s %s %d %d ms', record.method, record.url, record.statusCode, record.duration)
+        }
+      }
+
+      res.once('finish', () => logCompletion(false))
+      res.once('close', () => logCompletion(!res.writableFinished))
+    }
+
+    if (typeof next === 'function') {
+      return runWithContext({ requestId }, next)
+    }
+  }
+}
+
+/**
+ * Подсчитывает байты тела ответа, переданные в `res.write` и `res.end`
+ * @param {Object} res - Ответ (http.ServerResponse)
+ * @returns {function(): number} Возвращает размер тела ответа
+ * @private
+ */
+function countResponseBytes (res) {
+  let bytes = 0
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += typeof chunk === 'string'
+        ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+        : chunk.length
+    }
+  }
+  const { write, end } = res
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding)
+    return write.call(this, chunk, encoding, ...rest)
+  }
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding)
+    return end.call(this, chunk, encoding, ...rest)
+  }
+  return () => bytes
+}
@@ -1,7 +1,7 @@
 /**
  * @file src/logger/logger.d.ts
  * @description TypeScript декларации для основного модуля логирования (@fab33/sys-logger).
- * @version 0.8.4
+ * @version 0.20.0
  */
 
 // Импортируем типы из зависимостей, если они есть и предоставляют типы.
@@ -20,6 +20,12 @@ export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal';
  */
 export type LogBindings = Record<string, any>;
 
+/**
+ * @type {function}
+ * @description Ленивый аргумент метода логирования: вызывается только для включенных уровня и namespace.
+ */
+export type LazyArgument = () => LogBindings | string;
+
 /**
  * @interface Logger
  * @description Интерфейс для экземпляра логгера, возвращаемого createLogger.
@@ -49,6 +55,14 @@ export interface Logger {
    */
   trace (obj: LogBindings, message?: string, ...args: any[]): void;
 
+  /**
+   * Логирует результат ленивой функции на уровне 'trace': функция вызывается, только если запись будет сделана.
+   * @param {LazyArgument} lazy Функция, возвращающая объект с метаданными или сообщение.
+   * @param {string} [message] Опциональная форматная строка сообщения (printf-style).
+   * @param {...any} args Аргументы для подстановки (тоже могут быть функциями).
+   */
+  trace (lazy: LazyArgument, message?: string, ...args: any[]): void;
+
   /**
    * Логирует сообщение на уровне 'debug'.
    * @param {string} message Форматная строка сообщения (printf-style).
@@ -64,6 +78,14 @@ export interface Logger {
    */
   debug (obj: LogBindings, message?: string, ...args: any[]): void;
 
+  /**
+   * Логирует результат ленивой функции на уровне 'debug': функция вызывается, только если запись будет сделана.
+   * @param {LazyArgument} lazy Функция, возвращающая объект с метаданными или сообщение.
+   * @param {string} [message] Опциональная форматная строка сообщения (printf-style).
+   * @param {...any} args Аргументы для подстановки (тоже могут быть функциями).
+   */
+  debug (lazy: LazyArgument, message?: string, ...args: any[]): void;
+
   /**
    * Логирует сообщение на уровне 'info'.
    * @param {string} message Форматная строка сообщения (printf-style).
@@ -79,6 +101,14 @@ export interface Logger {
    */
   info (obj: LogBindings, message?: string, ...args: any[]): void;
 
+  /**
+   * Логирует результат ленивой функции на уровне 'info': функция вызывается, только если запись будет сделана.
+   * @param {LazyArgument} lazy Функция, возвращающая объект с метаданными или сообщение.
+   * @param {string} [message] Опциональная форматная строка сообщения (printf-style).
+   * @param {...any} args Аргументы для подстановки (тоже могут быть функциями).
+   */
+  info (lazy: LazyArgument, message?: string, ...args: any[]): void;
+
   /**
    * Логирует сообщение на уровне 'warn'.
    * @param {string} message Форматная строка сообщения (printf-style).
@@ -94,6 +124,14 @@ export interface Logger {
    */
   warn (obj: LogBindings, message?: string, ...args: any[]): void;
 
+  /**
+   * Логирует результат ленивой функции на уровне 'warn': функция вызывается, только если запись будет сделана.
+   * @param {LazyArgument} lazy Функция, возвращающая объект с метаданными или сообщение.
+   * @param {string} [message] Опциональная форматная строка сообщения (printf-style).
+   * @param {...any} args Аргументы для подстановки (тоже могут быть функциями).
+   */
+  warn (lazy: LazyArgument, message?: string, ...args: any[]): void;
+
   /**
    * Логирует сообщение на уровне 'error'.
    * @param {string} message Форматная строка сообщения (printf-style).
@@ -118,6 +156,14 @@ export interface Logger {
    */
   error (obj: LogBindings & { err?: Error }, message?: string, ...args: any[]): void;
 
+  /**
+   * Логирует результат ленивой функции на уровне 'error': функция вызывается, только если запись будет сделана.
+   * @param {LazyArgument} lazy Функция, возвращающая объект с метаданными или сообщение.
+   * @param {string} [message] Опциональная форматная строка сообщения (printf-style).
+   * @param {...any} args Аргументы для подстановки (тоже могут быть функциями).
+   */
+  error (lazy: LazyArgument, message?: string, ...args: any[]): void;
+
   /**
    * Логирует сообщение на уровне 'fatal'.
    * @param {string} message Форматная строка сообщения (printf-style).
@@ -142,6 +188,14 @@ export interface Logger {
    */
   fatal (obj: LogBindings & { err?: Error }, message?: string, ...args: any[]): void;
 
+  /**
+   * Логирует результат ленивой функции на уровне 'fatal': функция вызывается, только если запись будет сделана.
+   * @param {LazyArgument} lazy Функция, возвращающая объект с метаданными или сообщение.
+   * @param {string} [message] Опциональная форматная строка сообщения (printf-style).
+   * @param {...any} args Аргументы для подстановки (тоже могут быть функциями).
+   */
+  fatal (lazy: LazyArgument, message?: string, ...args: any[]): void;
+
   /**
    * Создает новый экземпляр дочернего логгера.
    * Наследует конфигурацию родителя и добавляет указанные bindings ко всем своим лог-сообщениям.
@@ -151,6 +205,16 @@ export interface Logger {
    */
   child (bindings: LogBindings): Logger;
 
+  /**
+   * Создает логгер с вложенным namespace (аналог `debug.extend`): `createLogger('db').extend('query')` - `db:query`.
+   * Сохраняет bindings, добавленные через `.child()`, и уровень, установленный через `logger.level`.
+   * Фильтрация по DEBUG и уровни `LOG_LEVELS` применяются к новому namespace.
+   * @param {string} namespace Вложенный namespace.
+   * @param {string} [delimiter] Разделитель (по умолчанию - `LOG_NAMESPACE_DELIMITER` или `:`).
+   * @returns {Logger} Новый экземпляр логгера.
+   */
+  extend (namespace: string, delimiter?: string): Logger;
+
   /**
    * Возвращает объект, содержащий все bindings (контекст), активные для данного экземпляра логгера.
    * Включает `namespace` (если был задан при создании) и все bindings, добавленные через `.child()`.
@@ -172,13 +236,76 @@ export interface Logger {
    * Соответствует вызову `pinoInstance.silent()`.
    */
   silent (): void;
+
+  /**
+   * Запускает таймер. Возвращенная функция записывает `duration` (мс) на уровне `level`:
+   * `const done = logger.startTimer(); ...; done({ rows: 10 }, 'Query executed')`.
+   * @param {LogLevel} [level='info'] Уровень записи.
+   * @returns Функция `done(meta?, msg?)` (или `done(msg)`).
+   */
+  startTimer (level?: LogLevel | string): (meta?: LogBindings | string, msg?: string) => void;
+
+  /**
+   * Выполняет функцию как span: записывает начало (debug), завершение (info) или ошибку (error) с `duration`
+   * и `spanId`. Записи внутри `fn` получают `spanId` из контекста логирования, вложенные span - `parentSpanId`.
+   * Ошибка `fn` записывается и пробрасывается дальше.
+   * @param {string} name Имя операции.
+   * @param {function} fn Синхронная или асинхронная функция, получает `{ spanId, parentSpanId? }`.
+   * @returns Результат `fn`.
+   */
+  span<T> (name: string, fn: (span: { spanId: string; parentSpanId?: string }) => T): T;
+
+  /**
+   * Записывает сообщение на уровне `level` один раз за процесс для ключа `key` (ключи отдельны для каждого namespace,
+   * дочерние логгеры используют реестр родителя). Пока уровень выключен, ключ не помечается.
+   * @param {LogLevel} level Уровень записи.
+   * @param {string | symbol} key Ключ записи.
+   * @param {...any} args Аргументы метода логирования.
+   * @returns true, если запись сделана.
+   */
+  once (level: LogLevel | string, key: string | symbol, ...args: any[]): boolean;
+
+  /**
+   * Записывает предупреждение один раз за процесс для ключа `key`: `logger.once('warn', key, ...args)`.
+   * @param {string | symbol} key Ключ записи.
+   * @param {...any} args Аргументы метода логирования.
+   * @returns true, если запись сделана.
+   */
+  warnOnce (key: string | symbol, ...args: any[]): boolean;
+
+  /**
+   * Оборачивает устаревшую функцию: при первом вызове обертки записывается предупреждение
+   * `{ deprecation: { message, code?, function? } }` в namespace этого логгера. Для одного `code` запись
+   * делается один раз, даже если он передан в несколько оберток.
+   * @param {function} fn Устаревшая функция.
+   * @param {string} message Сообщение об устаревании.
+   * @param {string} [code] Код устаревания.
+   * @returns Обертка с той же сигнатурой.
+   */
+  deprecate<F extends (...args: any[]) => any> (fn: F, message: string, code?: string): F;
 }
 
+/**
+ * @type {function}
+ * @description Метод логирования (сигнатуры как у `trace` ... `fatal`).
+ */
+export type LogMethod = {
+  (message: string, ...args: any[]): void;
+  (obj: LogBindings | Error | LazyArgument, message?: string, ...args: any[]): void;
+};
+
+/**
+ * @type {object}
+ * @description Логгер с методами пользовательских уровней из LOG_CUSTOM_LEVELS (например, `audit`, `http`).
+ * Пример: `const logger = createLogger('api') as LoggerWithLevels<'audit' | 'http'>`.
+ */
+export type LoggerWithLevels<L extends string> = Logger & Record<L, LogMethod>;
+
 /**
  * Создает экземпляр логгера с возможностью фильтрации по namespace и расширенным API.
  * @param {string} [namespace] - Необязательный идентификатор (namespace) для этого логгера. Используется для фильтрации вывода через переменную окружения `DEBUG`.
  *                               Логгеры без namespace активны только если `DEBUG` не задан, пуст, или содержит `*` без явного запрета.
- * @returns {Logger} Объект логгера с методами `trace`, `debug`, `info`, `warn`, `error`, `fatal`, `child`, `bindings`, `isLevelEnabled`, `silent` и свойством `level`.
+ * @returns {Logger} Объект логгера с методами `trace`, `debug`, `info`, `warn`, `error`, `fatal`, `child`, `extend`, `bindings`, `isLevelEnabled`, `silent` и свойством `level`.
  * @throws {SystemError} Бросает ошибку `TRANSPORT_INIT_FAILED`, если не удалось инициализировать базовый логгер или его транспорты (например, из-за ошибки конфигурации или прав доступа к файлам).
  */
 export function createLogger (namespace?: string): Logger;
@@ -187,4 +314,146 @@ export function createLogger (namespace?: string): Logger;
  * @const {LogLevel[]}
  * @description Массив строк с именами поддерживаемых уровней логирования в порядке возрастания важности.
  */
-export const LOG_LEVELS: LogLevel[]
\ No newline at end of file
+export const LOG_LEVELS: LogLevel[]
+
+/**
+ * Переоткрывает лог-файлы всех файловых транспортов (для ротации внешним logrotate).
+ * Запрос передается в worker-поток транспорта, файлы переоткрываются асинхронно по исходному пути.
+ * При `LOG_REOPEN_SIGNAL` (SIGHUP, SIGUSR1, SIGUSR2) вызывается автоматически при получении сигнала.
+ * @returns {boolean} true, если запрос передан транспорту; false, если логгер еще не инициализирован.
+ */
+export function reopenFiles (): boolean;
+
+/**
+ * Переконфигурирует логгер без перезапуска процесса.
+ * Новые транспорты создаются и подменяют прежние атомарно; прежние транспорты дописывают буфер и закрываются.
+ * Логгеры, созданные ранее через `createLogger` и `.child()`, продолжают работать с новой конфигурацией.
+ * @param {Record<string, any>} [configOrEnv] Переменные окружения (заменяют текущие) или объект в формате
+ *        `sys-logger.config.js` (заменяет конфигурацию из файла). По умолчанию - текущие переменные окружения.
+ * @returns {Promise<void>} Выполняется после закрытия прежних транспортов.
+ * @throws {SystemError} `TRANSPORT_INIT_FAILED`, если новую конфигурацию не удалось применить (прежняя остается активной).
+ */
+export function reconfigure (configOrEnv?: Record<string, any>): Promise<void>;
+
+/**
+ * @interface ConfigWatcher
+ * @description Наблюдатель за файлами конфигурации, возвращаемый watchConfig.
+ */
+export interface ConfigWatcher {
+  /** Прекращает отслеживание изменений. */
+  close (): void;
+  /** Перечитывает файлы и применяет конфигурацию немедленно. */
+  reload (): Promise<void>;
+}
+
+/**
+ * Отслеживает изменения файла конфигурации и .env файла и применяет их через `reconfigure`.
+ * Некорректная конфигурация не применяется: ошибка `CONFIG_LOAD_FAILED` пишется в лог (namespace `sys-logger`),
+ * логгер продолжает работать с последней корректной конфигурацией. Включается также через `LOG_WATCH_CONFIG=true`.
+ * @param {object} [options] Настройки отслеживания.
+ * @param {string} [options.configFile] Путь к файлу конфигурации (по умолчанию - загруженный при старте).
+ * @param {string} [options.envFile] Путь к .env файлу (по умолчанию - `LOG_WATCH_ENV_FILE`).
+ * @param {number} [options.debounce=200] Задержка перед применением после последнего изменения, мс.
+ * @returns {ConfigWatcher} Наблюдатель.
+ * @throws {SystemError} `CONFIG_LOAD_FAILED`, если отслеживать нечего.
+ */
+export function watchConfig (options?: { configFile?: string; envFile?: string; debounce?: number }): ConfigWatcher;
+
+/**
+ * Прекращает отслеживание изменений конфигурации, запущенное `watchConfig` или `LOG_WATCH_CONFIG`.
+ */
+export function unwatchConfig (): void;
+
+/**
+ * Включает вывод логов для namespace по паттернам (аналог `debug.enable`), не изменяя окружение процесса.
+ * Паттерны заменяют `DEBUG` до следующего вызова и действуют на уже созданные логгеры.
+ * @param {string | string[] | null} [patterns] Паттерны через запятую или пробел (`'api:*,-api:internal'`) или массив;
+ *        `null`/`undefined` - вернуться к паттернам из `DEBUG`.
+ */
+export function enable (patterns?: string | string[] | null): void;
+
+/**
+ * Выключает вывод логов для всех namespace (аналог `debug.disable`).
+ * @returns {string} Действовавшие паттерны; их можно передать в `enable()`, чтобы восстановить фильтрацию.
+ */
+export function disable (): string;
+
+/**
+ * Проверяет, включен ли вывод логов для namespace по действующим паттернам (аналог `debug.enabled`).
+ * @param {string} [namespace] Namespace; без аргумента - логгер без namespace.
+ * @returns {boolean} true, если логи namespace выводятся.
+ */
+export function enabled (namespace?: string): boolean;
+
+/**
+ * Возвращает действующие паттерны фильтрации (из `enable()` или `DEBUG`) в исходном порядке.
+ * @returns {string[]} Паттерны; запреты - с префиксом `-`.
+ */
+export function listEnabledPatterns (): string[];
+
+/**
+ * @interface NamespaceInfo
+ * @description Сведения о namespace из реестра созданных логгеров.
+ */
+export interface NamespaceInfo {
+  /** Namespace. */
+  namespace: string;
+  /** Выводятся ли логи namespace по действующим паттернам (`DEBUG` или `enable()`). */
+  enabled: boolean;
+  /** Уровень по правилам `LOG_LEVELS` или общий уровень (без учета `logger.level` отдельных экземпляров). */
+  level: LogLevel | undefined;
+  /** Количество логгеров, созданных с этим namespace. */
+  loggers: number;
+}
+
+/**
+ * Возвращает namespace, созданные через `createLogger` и `logger.extend()`, в алфавитном порядке.
+ * Состояние и уровень вычисляются на момент вызова.
+ * @returns {NamespaceInfo[]} Сведения о namespace.
+ */
+export function listNamespaces (): NamespaceInfo[];
+
+/**
+ * Выполняет функцию с контекстом логирования (AsyncLocalStorage): поля `bindings` добавляются во все записи
+ * логгеров из `createLogger` в асинхронной цепочке `fn`. Вложенный вызов дополняет внешний контекст.
+ * @param {LogBindings} bindings - Поля контекста (например, `{ requestId }`).
+ * @param {function} fn - Синхронная или асинхронная функция.
+ * @returns Результат `fn`.
+ */
+export function runWithLogContext<T> (bindings: LogBindings, fn: () => T): T;
+
+/**
+ * Дополняет текущий контекст логирования. Вне `runWithLogContext` контекст устанавливается для оставшейся
+ * части текущей операции и запущенных из нее асинхронных операций.
+ * @param {LogBindings} bindings - Поля контекста.
+ */
+export function setLogContext (bindings: LogBindings): void;
+
+/**
+ * Возвращает копию текущего контекста логирования или undefined вне контекста.
+ */
+export function getLogContext (): LogBindings | undefined;
+
+/**
+ * @interface HttpLoggerOptions
+ * @description Настройки middleware журнала HTTP запросов.
+ */
+export interface HttpLoggerOptions {
+  /** Логгер для записей о запросах (по умолчанию - `createLogger('http')`). */
+  logger?: Logger;
+  /** Заголовок идентификатора запроса (по умолчанию `x-request-id`). */
+  requestIdHeader?: string;
+  /** Создает идентификатор для запроса без заголовка (по умолчанию - UUID). */
+  generateRequestId?: (req: any) => string;
+  /** Уровень записи по запросу и ответу (по умолчанию: 5xx - error, 4xx - warn, остальные - info). */
+  getLevel?: (req: any, res: any) => string;
+  /** Не записывать запрос (например, проверки готовности). */
+  ignore?: (req: any) => boolean;
+}
+
+/**
+ * Создает middleware `(req, res, next)` журнала HTTP запросов для node:http и Express/Connect: записывает метод,
+ * URL, статус, длительность и размеры, назначает `req.id` и `req.log`, выполняет `next` в контексте с `requestId`.
+ * @param {HttpLoggerOptions} [options] - Настройки.
+ */
+export function httpLogger (options?: HttpLoggerOptions): (req: any, res: any, next?: (err?: any) => void) => any;
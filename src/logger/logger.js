@@ -1,7 +1,7 @@
 /**
  * @file src/logger/logger.js
  * @description Основной модуль подсистемы логирования для создания логгеров с фильтрацией по namespace
- * @version 0.8.5
+ * @version 0.33.0
  *
  * @example
  * Создание логгера:
@@ -48,21 +48,91 @@
  *
  * Дополнительные методы и свойства (аналогично Pino):
  * - `logger.child(bindings)`: Создает дочерний логгер с добавленным контекстом.
+ * - `logger.extend(name, [delimiter])`: Создает логгер с namespace `родитель:name` и контекстом родителя.
  * - `logger.bindings()`: Возвращает текущий контекст (bindings) логгера.
  * - `logger.level`: Позволяет получить или установить уровень логирования для этого экземпляра.
  * - `logger.isLevelEnabled(levelName)`: Проверяет, активен ли данный уровень.
  * - `logger.silent()`: Временно отключает логирование для этого экземпляра.
  *
+ * Переоткрытие лог-файлов (для внешнего logrotate по схеме "переименование + сигнал"):
+ * - `reopenFiles()` - файловые транспорты заново открывают свои файлы по исходному пути;
+ * - `LOG_REOPEN_SIGNAL=SIGHUP` (или `SIGUSR1`, `SIGUSR2`) - вызывать `reopenFiles()` при получении сигнала.
+ *
+ * Переконфигурация без перезапуска процесса:
+ * ```javascript
+ * await reconfigure({ ...process.env, LOG_LEVEL: 'debug', DEBUG: 'api:*' }) // Новые переменные окружения
+ * await reconfigure({ logLevel: 'debug', transports: [{ type: 'console' }] }) // Объект как в sys-logger.config.js
+ * ```
+ * Логгеры, созданные через `createLogger` и `.child()` до вызова, продолжают работать с новой конфигурацией.
+ *
+ * Отслеживание изменений конфигурации (opt-in): `watchConfig()` или `LOG_WATCH_CONFIG=true` - при изменении
+ * `sys-logger.config.js` или .env файла из `LOG_WATCH_ENV_FILE` конфигурация применяется через `reconfigure`.
+ *
+ * Уровни по namespace (LOG_LEVELS или ключ `levels` файла конфигурации):
+ * - `LOG_LEVELS=db:*=warn,api:auth=trace,*=info` - уровень логгера определяется самым специфичным подходящим правилом,
+ *   без подходящего правила действует общий уровень (LOG_LEVEL / уровни транспортов). Правило не опускает уровень
+ *   ниже общего: пороги транспортов сохраняются.
+ *
+ * Скрытие чувствительных данных (LOG_REDACT_PATHS, LOG_REDACT_PATTERNS, см. redact.js) выполняется здесь,
+ * до передачи записи pino, и поэтому одинаково действует для всех транспортов.
+ * Псевдонимизация полей (LOG_PSEUDONYMIZE_FIELDS, ключ LOG_PSEUDONYMIZE_KEY, см. pseudonymize.js) выполняется
+ * при преобразовании значений (см. serialize-value.js).
+ * Ошибки из поля `err` и ошибки, переданные не первым аргументом, записываются с цепочкой `cause`, `errors`
+ * и свойствами ошибки (см. serialize-error.js, глубина - LOG_ERROR_CAUSE_DEPTH).
+ *
  * ВАЖНО: Фильтрация логов по namespace через DEBUG
  * - Правила фильтрации применяются на основе `namespace`, переданного в `createLogger`.
  * - Дочерние логгеры, созданные через `.child()`, наследуют `namespace` родителя для фильтрации.
  * - Примеры: `DEBUG=*`, `DEBUG=db:*,api:*`, `DEBUG=*,-db:query`
+ * - Паттерны можно менять во время работы без изменения окружения (как в модуле `debug`):
+ *   `enable('api:*,-api:internal')`, `disable()`, `enabled('api:users')`, `listEnabledPatterns()`.
+ * - `listNamespaces()` - namespace, созданные через `createLogger` и `logger.extend()`, с их состоянием и уровнем.
+ *
+ * Контекст запроса без передачи логгеров (см. context.js):
+ * - `runWithLogContext({ requestId }, handler)` - поля добавляются во все записи логгеров из `createLogger`
+ *   в асинхронной цепочке `handler`; `setLogContext({ userId })` дополняет текущий контекст.
+ * - `httpLogger()` - middleware журнала HTTP запросов (см. http.js).
+ *
+ * Длительность операций:
+ * - `const done = logger.startTimer(); ...; done({ rows }, 'Query executed')` - запись с `duration` (мс).
+ * - `await logger.span('sync-users', async () => { ... })` - записи о начале, завершении и ошибке со `spanId`
+ *   (вложенные span получают `parentSpanId`); ошибка пробрасывается дальше.
+ *
+ * Однократные записи (реестр процесса, ключи отдельны для каждого namespace):
+ * - `logger.warnOnce('legacy-option', 'Option "legacy" is deprecated')`, `logger.once('info', key, ...)`.
+ * - `const oldFn = logger.deprecate(fn, 'Use newFn() instead', 'DEP_OLD_FN')` - запись `{ deprecation }`
+ *   уровня warn при первом вызове обертки.
+ *
+ * Пользовательские уровни (LOG_CUSTOM_LEVELS или ключ `customLevels` файла конфигурации):
+ * - `LOG_CUSTOM_LEVELS=audit:65:magenta:always,http:25:cyan` - у логгеров появляются методы `audit()` и `http()`,
+ *   имена уровней допустимы в LOG_LEVEL, LOG_LEVELS и уровнях транспортов.
+ * - Уровни с флагом `always` пишутся независимо от DEBUG (уровень логгера по-прежнему учитывается).
+ * - Методы добавляются логгерам, созданным после настройки уровней (в том числе после `reconfigure()`).
  */
 
+import crypto from 'crypto'
 import pino from 'pino'
-import { createTransport } from './config.js'
+import {
+  createTransport,
+  getConfigFilePath,
+  getFileConfig,
+  getLevelValues,
+  isFileConfig,
+  loadConfig,
+  loadStartupFileConfig,
+  parseNamespaceLevels,
+  setFileConfig
+} from './config.js'
+import { createConfigWatcher } from './config-watcher.js'
+import { getLogContext, runWithLogContext, setLogContext } from './context.js'
+import { createRequestLogger } from './http.js'
+import { createPseudonymizer } from './pseudonymize.js'
+import { createRedactor } from './redact.js'
+import { DEFAULT_ERROR_CAUSE_DEPTH, serializeError } from './serialize-error.js'
+import { serializeValue } from './serialize-value.js'
+import { REOPEN_MESSAGE_CODE } from './rotating-file.js'
 // Импортируем ошибки и фабрики
-import { createTransportError } from './error-fabs-logger.js'
+import { createConfigLoadError, createTransportError } from './error-fabs-logger.js'
 import { LOGGER_ERROR_CODES } from './errors-logger.js'
 
 /**
@@ -73,7 +143,13 @@ export const dependencies = {
   pino,
   baseLogger: null, // Базовый pino логгер (инициализируется один раз)
   createTransport, // Из config.js
-  Date // Добавляем Date для тестирования
+  getFileConfig, // Конфигурация из sys-logger.config.js (config.js)
+  setFileConfig, // Замена конфигурации из файла при reconfigure() (config.js)
+  getConfigFilePath, // Путь к загруженному файлу конфигурации (config.js)
+  loadConfig, // Проверка конфигурации перед применением изменений файлов (config.js)
+  createConfigWatcher, // Отслеживание изменений файлов конфигурации (config-watcher.js)
+  Date, // Добавляем Date для тестирования
+  process // Для подписки на сигнал переоткрытия файлов
 }
 
 /**
@@ -94,16 +170,89 @@ export function setDependencies (newDependencies) {
  */
 export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
 
+// Сигналы, по которым можно переоткрывать лог-файлы (LOG_REOPEN_SIGNAL)
+const REOPEN_SIGNALS = ['SIGHUP', 'SIGUSR1', 'SIGUSR2']
+
+// Транспорт базового логгера (поток pino.transport)
+let baseTransport = null
+
+// Сигнал, на который подписан обработчик переоткрытия файлов
+let reopenSignal = null
+
+// Поколение базового логгера: увеличивается при reconfigure(), обертки пересоздают свои экземпляры pino
+let baseGeneration = 0
+
+// Активный наблюдатель за файлами конфигурации (watchConfig)
+let configWatcher = null
+
+// Разделитель namespace в logger.extend() по умолчанию (переопределяется LOG_NAMESPACE_DELIMITER)
+const DEFAULT_NAMESPACE_DELIMITER = ':'
+
+// Размер идентификатора span в байтах (16 hex-символов)
+const SPAN_ID_BYTES = 8
+
+// Плейсхолдеры форматной строки pino (группа сохраняет их при разбиении строки)
+const FORMAT_PLACEHOLDER_REGEX = /(%[sdifjoOc%])/
+
+// Максимальное количество запомненных результатов проверки namespace
+const MAX_NAMESPACE_CACHE_SIZE = 1000
+
+// Максимальное время ожидания завершения прежнего транспорта при reconfigure(), мс
+const TRANSPORT_CLOSE_TIMEOUT_MS = 5000
+
+// Скомпилированные паттерны DEBUG и результаты проверки namespace (сбрасываются при изменении DEBUG)
+let namespaceCache = { debug: Symbol('uncompiled'), matcher: null, results: new Map() }
+
+// Namespace, созданные через createLogger() и logger.extend(): namespace -> количество логгеров
+const namespaceRegistry = new Map()
+
+// Ключи записей logger.once() и logger.deprecate(), уже сделанных в процессе: namespace -> Set ключей
+const onceRegistry = new Map()
+
+// Функция скрытия чувствительных данных и настройки, по которым она создана
+let redactorCache = { settings: [], redactor: createRedactor() }
+
+// Псевдонимизатор полей и настройки, по которым он создан
+let pseudonymizerCache = { settings: [], pseudonymizer: createPseudonymizer() }
+
+// Паттерны, заданные через enable()/disable() (null - паттерны из DEBUG)
+let enabledOverride = null
+
+// Скомпилированные правила LOG_LEVELS и уровни namespace (сбрасываются при изменении LOG_LEVELS, уровней
+// или общего уровня)
+let namespaceLevelCache = { value: Symbol('uncompiled'), customLevels: null, baseLevel: null, matcher: null, results: new Map() }
+
+// Пользовательские уровни базового логгера (LOG_CUSTOM_LEVELS, см. `parseCustomLevels` в config.js)
+let baseCustomLevels = []
+
+// Уровень базового логгера по конфигурации (восстанавливается, когда правило LOG_LEVELS перестает действовать)
+let baseLevelName = null
+
 // --- Внутренние хелперы ---
 
+/**
+ * Возвращает значение настройки: из переменной окружения, а если она не задана - из файла конфигурации
+ * @param {string} envKey - Имя переменной окружения (например, 'DEBUG')
+ * @param {string} fileKey - Ключ в sys-logger.config.js (например, 'debug')
+ * @returns {*} Значение настройки или undefined
+ * @private
+ */
+function getSetting (envKey, fileKey) {
+  const value = dependencies.env[envKey]
+  if (value !== undefined) return value
+  return dependencies.getFileConfig()?.[fileKey]
+}
+
 /**
  * Получает строковый уровень логирования по числовому значению
  * @param {number} level - Числовой уровень логирования
+ * @param {Object[]} [customLevels=[]] - Пользовательские уровни
  * @returns {string} Строковый уровень логирования
  * @private
  */
-function getLevelName (level) {
-  const levelNames = Object.entries(pino.levels.values).reduce((acc, [key, value]) => {
+function getLevelName (level, customLevels = []) {
+  const levelValues = { ...pino.levels.values, ...getLevelValues(customLevels) }
+  const levelNames = Object.entries(levelValues).reduce((acc, [key, value]) => {
     acc[value] = key
     return acc
   }, {})
@@ -111,101 +260,189 @@ function getLevelName (level) {
 }
 
 /**
- * Подготавливает значение для логирования с учетом типа данных и настроек
- * @param {*} value - Значение для преобразования
- * @param {number} depth - Максимальная глубина рекурсии (только для Map структур)
- * @param {number} maxStringLength - Максимальная длина строк (0 - без ограничений)
- * @param {string} truncationMarker - Маркер обрезки для длинных строк
- * @returns {*} Преобразованное значение
+ * Возвращает функцию скрытия чувствительных данных для текущих настроек LOG_REDACT_*
+ *
+ * Правила разбираются заново только при изменении настроек (переконфигурация, изменение окружения).
+ *
+ * @returns {import('./redact.js').Redactor} Функция скрытия
  * @private
  */
-function prepareValueForLogging (value, depth = 8, maxStringLength = 0, truncationMarker = '...') {
-  if (typeof value === 'string' && maxStringLength > 0 && value.length > maxStringLength) {
-    return value.substring(0, maxStringLength) + truncationMarker
+function getRedactor () {
+  const settings = [
+    getSetting('LOG_REDACT_PATHS', 'redactPaths'),
+    getSetting('LOG_REDACT_PATTERNS', 'redactPatterns'),
+    getSetting('LOG_REDACT_STRATEGY', 'redactStrategy'),
+    getSetting('LOG_REDACT_CENSOR', 'redactCensor')
+  ]
+  if (settings.some((value, index) => value !== redactorCache.settings[index])) {
+    const [paths, patterns, strategy, censor] = settings
+    redactorCache = { settings, redactor: createRedactor({ paths, patterns, strategy: strategy?.toLowerCase?.(), censor }) }
   }
+  return redactorCache.redactor
+}
 
-  if (value instanceof Map) {
-    if (depth <= 0) return '[Max Map Depth Reached]'
-    const obj = {}
-    for (const [k, v] of value.entries()) {
-      obj[String(k)] = prepareValueForLogging(v, depth - 1, maxStringLength, truncationMarker)
-    }
-    return obj
+/**
+ * Возвращает псевдонимизатор для текущих настроек LOG_PSEUDONYMIZE_FIELDS и LOG_PSEUDONYMIZE_KEY
+ *
+ * Ключ читается только из окружения, чтобы он не попадал в файл конфигурации.
+ *
+ * @returns {import('./pseudonymize.js').Pseudonymizer|null} Псевдонимизатор или null, если поля не заданы
+ * @private
+ */
+function getPseudonymizer () {
+  const settings = [getSetting('LOG_PSEUDONYMIZE_FIELDS', 'pseudonymizeFields'), dependencies.env.LOG_PSEUDONYMIZE_KEY]
+  if (settings.some((value, index) => value !== pseudonymizerCache.settings[index])) {
+    const [fields, key] = settings
+    pseudonymizerCache = { settings, pseudonymizer: createPseudonymizer({ fields, key }) }
   }
+  return pseudonymizerCache.pseudonymizer.active ? pseudonymizerCache.pseudonymizer : null
+}
 
-  if (Array.isArray(value)) {
-    return value.map(item => prepareValueForLogging(item, depth, maxStringLength, truncationMarker))
+/**
+ * Возвращает настройки преобразования значений для записи в лог (см. serialize-value.js)
+ * @returns {import('./serialize-value.js').SerializeOptions} Настройки из LOG_MAX_DEPTH, LOG_MAP_DEPTH_ONLY,
+ *          LOG_MAX_STRING_LENGTH, LOG_TRUNCATION_MARKER, LOG_ERROR_CAUSE_DEPTH и псевдонимизатор
+ * @private
+ */
+function getSerializeOptions () {
+  const mapDepthOnly = getSetting('LOG_MAP_DEPTH_ONLY', 'mapDepthOnly')
+  return {
+    maxDepth: parseInt(getSetting('LOG_MAX_DEPTH', 'maxDepth'), 10) || 8,
+    mapDepthOnly: mapDepthOnly === true || String(mapDepthOnly).toLowerCase() === 'true',
+    maxStringLength: parseInt(getSetting('LOG_MAX_STRING_LENGTH', 'maxStringLength'), 10) || 0,
+    truncationMarker: getSetting('LOG_TRUNCATION_MARKER', 'truncationMarker') || '...',
+    errorCauseDepth: parseInt(getSetting('LOG_ERROR_CAUSE_DEPTH', 'errorCauseDepth'), 10) || DEFAULT_ERROR_CAUSE_DEPTH,
+    pseudonymizer: getPseudonymizer()
   }
+}
 
-  if (value && typeof value === 'object' && !(value instanceof Error) && Object.getPrototypeOf(value) === Object.prototype) {
-    const result = {}
-    for (const [k, v] of Object.entries(value)) {
-      result[k] = prepareValueForLogging(v, depth, maxStringLength, truncationMarker)
-    }
-    return result
+/**
+ * Вычисляет ленивый аргумент: функция вызывается только для записей включенного уровня и namespace
+ *
+ * `logger.debug(() => ({ payload: buildPayload() }), 'msg')` - результат функции используется как аргумент.
+ * Ошибка функции не прерывает запись: вместо аргумента записывается маркер.
+ *
+ * @param {*} arg - Аргумент метода логирования
+ * @returns {*} Результат функции или исходный аргумент
+ * @private
+ */
+function evaluateLazyArgument (arg) {
+  if (typeof arg !== 'function') return arg
+  try {
+    return arg()
+  } catch (error) {
+    return `[Lazy Argument Error: ${error?.message ?? error}]`
   }
+}
 
-  return value
+/**
+ * Сериализатор поля `err` для pino
+ *
+ * Обертки передают `err` уже сериализованным (см. serialize-error.js) - такое значение записывается как есть.
+ * Экземпляры Error (например, из bindings, заданных в обход обертки) сериализуются так же, как в обертке.
+ *
+ * @param {*} value - Значение поля `err`
+ * @returns {*} Значение для записи в лог
+ * @private
+ */
+function serializeErrField (value) {
+  if (!(value instanceof Error)) return value
+  const serializeOptions = getSerializeOptions()
+  return serializeError(value, { maxDepth: serializeOptions.errorCauseDepth, serializeOptions })
+}
+
+/**
+ * Скрывает чувствительные данные в форматной строке, не затрагивая плейсхолдеры (`%s`, `%d`, `%j`, ...)
+ *
+ * Совпадения шаблонов ищутся только в тексте между плейсхолдерами, поэтому аргументы подставляются
+ * на свои места при любой стратегии скрытия.
+ *
+ * @param {string} format - Форматная строка
+ * @param {function(*): *} redact - Функция скрытия (см. redact.js)
+ * @returns {string} Форматная строка со скрытыми данными
+ * @private
+ */
+function redactFormatString (format, redact) {
+  return format.split(FORMAT_PLACEHOLDER_REGEX).map((part, index) => index % 2 === 1 ? part : redact(part)).join('')
 }
 
 /**
  * Оборачивает метод логирования pino для добавления кастомной обработки
- * @param {pino.Logger} pinoInstance - Экземпляр логгера pino
+ * @param {function(): pino.Logger} getPinoInstance - Возвращает актуальный экземпляр логгера pino
  * @param {string} method - Имя метода логирования ('info', 'debug', etc.)
  * @returns {Function} Обертка над методом логгера
  * @private
  */
-function wrapLogMethod (pinoInstance, method) {
-  return function (...args) {
-    if (args.length === 0) return
+function wrapLogMethod (getPinoInstance, method) {
+  return function (...rawArgs) {
+    if (rawArgs.length === 0) return
 
-    const maxDepth = parseInt(dependencies.env.LOG_MAX_DEPTH, 10) || 8
-    const maxStringLength = parseInt(dependencies.env.LOG_MAX_STRING_LENGTH, 10) || 0
-    const truncationMarker = dependencies.env.LOG_TRUNCATION_MARKER || '...'
+    const pinoInstance = getPinoInstance()
+    // Отключенный уровень: не вычисляем ленивые аргументы и не преобразуем значения
+    if (typeof pinoInstance.isLevelEnabled === 'function' && !pinoInstance.isLevelEnabled(method)) return
 
-    const firstArg = args[0]
+    const args = rawArgs.map(evaluateLazyArgument)
 
-    if (firstArg instanceof Error) {
-      return pinoInstance[method]({ err: firstArg })
-    }
+    const serializeOptions = getSerializeOptions()
+    const { maxStringLength, truncationMarker } = serializeOptions
+    const { redact } = getRedactor()
+    const serializeErr = (error) => redact({
+      err: serializeError(error, { maxDepth: serializeOptions.errorCauseDepth, serializeOptions })
+    })
+
+    // Поля контекста runWithLogContext/setLogContext (поля записи имеют приоритет). Поля, уже заданные
+    // логгеру через .child() (например, requestId в req.log), не добавляются, чтобы ключ не повторялся в записи
+    const context = getLogContext()
+    const boundFields = context && typeof pinoInstance.bindings === 'function' ? pinoInstance.bindings() : {}
+    const contextFields = context ? Object.keys(context).filter(key => !Object.hasOwn(boundFields, key)) : []
+    const contextBindings = contextFields.length > 0
+      ? redact(serializeValue(Object.fromEntries(contextFields.map(key => [key, context[key]])), serializeOptions))
+      : undefined
+    const withContext = (mergeObject) => contextBindings ? { ...contextBindings, ...mergeObject } : mergeObject
+
+    const firstArg = args[0]
 
-    const formatStringIndex = (typeof firstArg === 'object' && firstArg !== null && !(firstArg instanceof Error)) ? 1 : 0
+    const formatStringIndex = (typeof firstArg === 'object' && firstArg !== null) ? 1 : 0
     const hasInterpolationArgs = args.length > formatStringIndex + 1
 
     const convertedArgs = args.map((arg, index) => {
       const isFormatString = (index === formatStringIndex && typeof arg === 'string')
       if (isFormatString && hasInterpolationArgs) {
-        return arg // Пропускаем форматную строку, если есть что подставлять
+        return redactFormatString(arg, redact) // Форматную строку не обрезаем, чтобы не потерять плейсхолдеры
       }
 
-      if (arg instanceof Error) return arg
+      if (arg instanceof Error) return redact(arg)
       if (typeof arg === 'object' && arg !== null) {
-        return prepareValueForLogging(arg, maxDepth, maxStringLength, truncationMarker)
+        return redact(serializeValue(arg, serializeOptions))
       }
       // Применяем обрезку ко всем остальным строкам (включая одиночные)
       if (typeof arg === 'string' && maxStringLength > 0 && arg.length > maxStringLength) {
-        return arg.substring(0, maxStringLength) + truncationMarker
+        return redact(arg.substring(0, maxStringLength) + truncationMarker)
       }
-      return arg
+      return redact(arg)
     })
 
+    // Ошибка первым аргументом записывается в поле err, сообщение по умолчанию - сообщение ошибки (как в pino)
+    if (firstArg instanceof Error) {
+      const messageArgs = convertedArgs.length > 1 ? convertedArgs.slice(1) : [redact(String(firstArg.message))]
+      return pinoInstance[method](withContext(serializeErr(firstArg)), ...messageArgs)
+    }
+
+    // Ошибка среди остальных аргументов записывается в поле err: pino не выводит аргументы без плейсхолдеров
+    const trailingError = args.find((arg, index) => index > 0 && arg instanceof Error)
+
     if (typeof firstArg === 'object' && firstArg !== null && !(firstArg instanceof Error)) {
-      const potentialError = firstArg.err
+      const potentialError = firstArg.err === undefined ? trailingError : firstArg.err
       if (potentialError instanceof Error) {
         const { err, ...rest } = convertedArgs[0]
-        return pinoInstance[method]({
-          ...rest,
-          err: {
-            message: potentialError.message,
-            stack: potentialError.stack,
-            type: potentialError.constructor.name,
-            code: potentialError.code
-          }
-        }, ...convertedArgs.slice(1))
+        return pinoInstance[method](withContext({ ...rest, ...serializeErr(potentialError) }), ...convertedArgs.slice(1))
+      }
+      if (contextBindings && !Array.isArray(convertedArgs[0]) && typeof convertedArgs[0] === 'object') {
+        return pinoInstance[method](withContext(convertedArgs[0]), ...convertedArgs.slice(1))
       }
       return pinoInstance[method](...convertedArgs)
     } else {
-      return pinoInstance[method](undefined, ...convertedArgs)
+      return pinoInstance[method](trailingError ? withContext(serializeErr(trailingError)) : contextBindings, ...convertedArgs)
     }
   }
 }
@@ -239,21 +476,40 @@ function patternToRegExp (pattern) {
 }
 
 /**
- * Вычисляет, активен ли данный namespace согласно переменной DEBUG.
- * Логика основана на поведении модуля `debug`.
- * @param {string|undefined} namespace - Namespace логгера
- * @returns {boolean} true если логи для этого namespace должны выводиться
+ * Разбирает значение DEBUG на паттерны (разделители - запятые и пробелы, как в модуле `debug`)
+ * @param {string|undefined|null} debug - Значение DEBUG
+ * @returns {string[]} Паттерны в исходном порядке (запреты - с префиксом `-`)
  * @private
  */
-function isNamespaceEnabled (namespace) {
-  const debug = dependencies.env.DEBUG
+function splitNamespacePatterns (debug) {
+  return typeof debug === 'string' ? debug.split(/[\s,]+/).filter(Boolean) : []
+}
 
-  if (debug === undefined || debug === null) return !namespace
-  const trimmedDebug = debug.trim()
-  if (trimmedDebug === '') return !namespace
+/**
+ * Возвращает действующее значение паттернов: заданное через `enable()` или DEBUG
+ * @returns {string|undefined|null} Значение паттернов
+ * @private
+ */
+function getNamespacePatterns () {
+  return enabledOverride ?? getSetting('DEBUG', 'debug')
+}
 
-  const patterns = trimmedDebug.split(',').map(p => p.trim()).filter(Boolean)
-  if (patterns.length === 0) return !namespace
+/**
+ * Компилирует значение DEBUG в функцию проверки namespace
+ *
+ * Паттерны разбираются и преобразуются в RegExp один раз. Логика основана на поведении модуля `debug`:
+ * - логгер без namespace активен только при `*` без явного запрета `-*`;
+ * - сначала проверяются запреты (`-pattern`), затем разрешения.
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|undefined|null} debug - Значение DEBUG (или ключа `debug` файла конфигурации)
+ * @returns {function(string|undefined): boolean} Функция проверки namespace
+ * @private
+ */
+function compileNamespaceMatcher (debug) {
+  const patterns = splitNamespacePatterns(debug)
+  if (patterns.length === 0) return (namespace) => !namespace
 
   const skips = []
   const names = []
@@ -266,92 +522,334 @@ function isNamespaceEnabled (namespace) {
     }
   })
 
-  // Логгер без namespace активен только если есть '*' и нет явных запретов
-  // (проверяем skips на наличие '*')
-  if (!namespace) {
-    return names.includes('*') && !skips.includes('*')
+  // Общие '*' обрабатываются отдельно от специфичных правил
+  const skipAll = skips.includes('*')
+  const allowAll = names.includes('*')
+  const skipRegExps = skips.filter(p => p !== '*').map(patternToRegExp)
+  const nameRegExps = names.filter(p => p !== '*').map(patternToRegExp)
+
+  return (namespace) => {
+    // Логгер без namespace активен только если есть '*' и нет явных запретов
+    if (!namespace) return allowAll && !skipAll
+
+    // Проверка негативных правил (сначала более специфичные, потом '*')
+    if (skipRegExps.some(regex => regex.test(namespace))) return false
+    if (skipAll) return false
+
+    // Проверка позитивных правил (сначала более специфичные, потом '*')
+    return nameRegExps.some(regex => regex.test(namespace)) || allowAll
   }
+}
 
-  // Проверка негативных правил (сначала более специфичные, потом '*')
-  for (const pattern of skips) {
-    if (pattern === '*') continue // Обработаем общий запрет позже
-    const regex = patternToRegExp(pattern)
-    if (regex.test(namespace)) {
-      return false // Запрещено специфичным правилом
-    }
+/**
+ * Вычисляет, активен ли данный namespace согласно переменной DEBUG (или ключу `debug` файла конфигурации).
+ * Паттерны, заданные через `enable()`/`disable()`, имеют приоритет над DEBUG.
+ *
+ * Паттерны компилируются один раз (`compileNamespaceMatcher`), результаты для namespace запоминаются.
+ * Кэш сбрасывается, только когда значение DEBUG меняется.
+ *
+ * @param {string|undefined} namespace - Namespace логгера
+ * @returns {boolean} true если логи для этого namespace должны выводиться
+ * @private
+ */
+function isNamespaceEnabled (namespace) {
+  const debug = getNamespacePatterns()
+
+  if (debug !== namespaceCache.debug) {
+    namespaceCache = { debug, matcher: compileNamespaceMatcher(debug), results: new Map() }
   }
-  // Проверяем общий запрет '*'
-  if (skips.includes('*')) {
-    return false
+
+  const { results } = namespaceCache
+  let enabled = results.get(namespace)
+  if (enabled === undefined) {
+    // Ограничиваем размер кэша на случай динамически создаваемых namespace
+    if (results.size >= MAX_NAMESPACE_CACHE_SIZE) results.clear()
+    enabled = namespaceCache.matcher(namespace)
+    results.set(namespace, enabled)
+  }
+  return enabled
+}
+
+/**
+ * Компилирует правила уровней по namespace (LOG_LEVELS) в функцию, возвращающую уровень для namespace
+ *
+ * Побеждает самое специфичное подходящее правило: точное совпадение, затем паттерн `prefix*` с самым длинным
+ * префиксом, затем `*`; при равной специфичности - правило, указанное раньше. К логгеру без namespace
+ * применяется только правило `*`. Некорректные правила пропускаются (о них предупреждает проверка конфигурации).
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|Object<string, string>|undefined} value - Значение LOG_LEVELS (или ключа `levels` файла конфигурации)
+ * @param {Object[]} [customLevels=[]] - Пользовательские уровни (допустимы в правилах)
+ * @returns {function(string|undefined): (string|undefined)} Функция, возвращающая уровень или undefined
+ * @private
+ */
+function compileNamespaceLevels (value, customLevels = []) {
+  const { rules } = value ? parseNamespaceLevels(value, getLevelValues(customLevels)) : { rules: [] }
+  if (rules.length === 0) return () => undefined
+
+  const getSpecificity = (pattern) => {
+    if (pattern === '*') return 0
+    if (pattern.endsWith('*') && !pattern.endsWith('\\*')) return pattern.length
+    return Number.MAX_SAFE_INTEGER
   }
+  // Array.prototype.sort стабильна: при равной специфичности сохраняется исходный порядок
+  const compiled = rules
+    .map(rule => ({ ...rule, regex: patternToRegExp(rule.pattern), specificity: getSpecificity(rule.pattern) }))
+    .sort((a, b) => b.specificity - a.specificity)
+  const defaultLevel = compiled.find(rule => rule.pattern === '*')?.level
+
+  return (namespace) => {
+    if (!namespace) return defaultLevel
+    return compiled.find(rule => rule.regex.test(namespace))?.level
+  }
+}
 
-  // Проверка позитивных правил (сначала более специфичные, потом '*')
-  let allowed = false
-  for (const pattern of names) {
-    if (pattern === '*') continue // Обработаем общий wildcard позже
-    const regex = patternToRegExp(pattern)
-    if (regex.test(namespace)) {
-      allowed = true // Разрешено специфичным правилом
-      break
+/**
+ * Возвращает уровень для namespace по правилам LOG_LEVELS
+ *
+ * Правила компилируются один раз, результаты для namespace запоминаются до изменения LOG_LEVELS.
+ *
+ * @param {string|undefined} namespace - Namespace логгера
+ * @returns {string|undefined} Уровень из правила или undefined, если ни одно правило не подходит
+ * @private
+ */
+function getNamespaceLevel (namespace) {
+  const value = getSetting('LOG_LEVELS', 'levels')
+
+  if (
+    value !== namespaceLevelCache.value ||
+    baseCustomLevels !== namespaceLevelCache.customLevels ||
+    baseLevelName !== namespaceLevelCache.baseLevel
+  ) {
+    namespaceLevelCache = {
+      value,
+      customLevels: baseCustomLevels,
+      baseLevel: baseLevelName,
+      matcher: compileNamespaceLevels(value, baseCustomLevels),
+      results: new Map()
     }
   }
 
-  // Если не разрешено специфичным правилом, проверяем общий wildcard '*'
-  if (!allowed && names.includes('*')) {
-    allowed = true
+  const { results } = namespaceLevelCache
+  if (!results.has(namespace)) {
+    if (results.size >= MAX_NAMESPACE_CACHE_SIZE) results.clear()
+    results.set(namespace, clampToBaseLevel(namespaceLevelCache.matcher(namespace)))
   }
+  return results.get(namespace)
+}
+
+/**
+ * Ограничивает уровень из правила LOG_LEVELS снизу общим уровнем базового логгера
+ *
+ * Записи ниже общего уровня (LOG_LEVEL / наименьший уровень транспортов) не принимает ни один транспорт:
+ * пороги транспортов не меняются правилами, поэтому `isLevelEnabled` не должен сообщать о таких уровнях.
+ *
+ * @param {string|undefined} level - Уровень из правила
+ * @returns {string|undefined} Уровень из правила или общий уровень, если правило задает уровень ниже
+ * @private
+ */
+function clampToBaseLevel (level) {
+  if (!level || !baseLevelName) return level
+  const levelValues = { ...pino.levels.values, ...getLevelValues(baseCustomLevels) }
+  return levelValues[level] < levelValues[baseLevelName] ? baseLevelName : level
+}
 
-  return allowed
+/**
+ * Запоминает namespace созданного логгера для `listNamespaces()`
+ *
+ * Размер реестра ограничен (MAX_NAMESPACE_CACHE_SIZE) на случай динамически создаваемых namespace:
+ * после заполнения учитываются только уже известные namespace.
+ *
+ * @param {string|undefined} namespace - Namespace логгера
+ * @private
+ */
+function registerNamespace (namespace) {
+  if (!namespace) return
+  const count = namespaceRegistry.get(namespace)
+  if (count === undefined && namespaceRegistry.size >= MAX_NAMESPACE_CACHE_SIZE) return
+  namespaceRegistry.set(namespace, (count ?? 0) + 1)
 }
 
 /**
  * Создает обертку над экземпляром pino логгера
+ *
+ * Обертка хранит цепочку bindings, из которой был получен экземпляр pino. После `reconfigure()` экземпляр
+ * пересоздается от нового базового логгера при первом обращении, поэтому ранее созданные логгеры
+ * продолжают работать. Уровень, установленный через `.level`, сохраняется.
+ *
+ * Уровень экземпляра pino синхронизируется с правилом LOG_LEVELS для namespace при каждом обращении
+ * (правила могут измениться во время работы). Уровень, установленный через `.level`, имеет приоритет над правилами.
+ *
  * @param {pino.Logger} pinoInstance - Экземпляр pino логгера
  * @param {string|undefined} namespace - Namespace для фильтрации
+ * @param {Object[]} [bindingsChain=[]] - Цепочка bindings от базового логгера до `pinoInstance`
+ * @param {string} [levelOverride] - Уровень, установленный через `.level` (наследуется дочерними логгерами)
  * @returns {object} Обертка с методами логирования и доп. методами
  * @private
  */
-function _wrapPinoInstance (pinoInstance, namespace) {
+function _wrapPinoInstance (pinoInstance, namespace, bindingsChain = [], levelOverride = undefined) {
   const wrapper = {}
+  let instance = pinoInstance
+  let generation = baseGeneration
+  let ruleLevel // Уровень из LOG_LEVELS, установленный экземпляру pino
   // Пересчитываем nsEnabled здесь, так как DEBUG мог измениться в тестах
   // между созданием разных логгеров
   const nsEnabled = isNamespaceEnabled(namespace)
 
-  // 1. Методы логирования
-  LOG_LEVELS.forEach(level => {
+  /**
+   * Возвращает экземпляр pino, актуальный для текущей конфигурации
+   * @returns {pino.Logger}
+   */
+  const current = () => {
+    if (generation !== baseGeneration && dependencies.baseLogger) {
+      instance = bindingsChain.reduce((logger, bindings) => logger.child(bindings), dependencies.baseLogger)
+      if (levelOverride !== undefined) instance.level = levelOverride
+      generation = baseGeneration
+      ruleLevel = undefined
+    }
+    if (levelOverride === undefined) applyNamespaceLevel()
+    return instance
+  }
+
+  /**
+   * Устанавливает экземпляру pino уровень из правила LOG_LEVELS (или восстанавливает общий уровень)
+   */
+  function applyNamespaceLevel () {
+    const level = getNamespaceLevel(namespace)
+    if (level === ruleLevel) return
+    const nextLevel = level ?? baseLevelName
+    if (nextLevel) instance.level = nextLevel
+    ruleLevel = level
+  }
+
+  // 1. Методы логирования (стандартные и пользовательские уровни)
+  // Уровни с флагом always пишутся независимо от DEBUG
+  const isLevelVisible = (level) => {
+    return baseCustomLevels.some(custom => custom.always && custom.name === level) || isNamespaceEnabled(namespace)
+  }
+  ;[...LOG_LEVELS, ...baseCustomLevels.map(level => level.name)].forEach(level => {
     if (pinoInstance[level]) {
-      const wrappedLogFn = wrapLogMethod(pinoInstance, level)
+      const wrappedLogFn = wrapLogMethod(current, level)
+      const isCustom = !LOG_LEVELS.includes(level)
       wrapper[level] = (...args) => {
         // Перепроверяем nsEnabled на момент вызова, чтобы учесть динамические изменения DEBUG (хотя это редкость)
-        if (!isNamespaceEnabled(namespace)) return
+        if (!isLevelVisible(level)) return
+        // Пользовательский уровень мог быть удален из конфигурации при reconfigure()
+        if (isCustom && typeof current()[level] !== 'function') return
         return wrappedLogFn(...args)
       }
     }
   })
 
   // 2. Метод .child()
-  wrapper.child = (bindings) => {
-    const newPinoChild = pinoInstance.child(bindings)
+  wrapper.child = (rawBindings) => {
+    // Контекст попадает в каждую запись дочернего логгера, поэтому преобразуем и скрываем данные один раз
+    // при создании (строки контекста не обрезаются)
+    const bindings = getRedactor().redact(serializeValue(rawBindings, { ...getSerializeOptions(), maxStringLength: 0 }))
+    const newPinoChild = current().child(bindings)
     // Дочерний логгер все еще фильтруется по *родительскому* namespace
-    return _wrapPinoInstance(newPinoChild, namespace)
+    return _wrapPinoInstance(newPinoChild, namespace, [...bindingsChain, bindings], levelOverride)
+  }
+
+  // 2a. Метод .extend() - логгер с вложенным namespace (аналог `debug.extend`)
+  wrapper.extend = (subNamespace, delimiter = getSetting('LOG_NAMESPACE_DELIMITER', 'namespaceDelimiter')) => {
+    const extendedNamespace = namespace
+      ? `${namespace}${delimiter ?? DEFAULT_NAMESPACE_DELIMITER}${subNamespace}`
+      : String(subNamespace)
+    // Первое звено цепочки логгера с namespace - { namespace }: заменяем его, чтобы ключ не дублировался в записи
+    const extendedChain = [{ namespace: extendedNamespace }, ...(namespace ? bindingsChain.slice(1) : bindingsChain)]
+    const basePinoLogger = initializeBaseLogger(dependencies.env)
+    const newPinoInstance = extendedChain.reduce((logger, bindings) => logger.child(bindings), basePinoLogger)
+    registerNamespace(extendedNamespace)
+    return _wrapPinoInstance(newPinoInstance, extendedNamespace, extendedChain, levelOverride)
   }
 
   // 3. Метод .bindings()
-  wrapper.bindings = () => pinoInstance.bindings()
+  wrapper.bindings = () => current().bindings()
 
   // 4. Метод .isLevelEnabled()
   wrapper.isLevelEnabled = (levelName) => {
     // Перепроверяем nsEnabled на момент вызова
-    return isNamespaceEnabled(namespace) && pinoInstance.isLevelEnabled(levelName)
+    return isLevelVisible(levelName) && current().isLevelEnabled(levelName)
   }
 
   // 5. Метод .silent()
-  wrapper.silent = () => pinoInstance.silent()
+  wrapper.silent = () => current().silent()
+
+  // 5a. Метод .startTimer() - запись длительности операции
+  wrapper.startTimer = (level = 'info') => {
+    const startTime = dependencies.Date.now()
+    return (meta, msg) => {
+      const duration = dependencies.Date.now() - startTime
+      if (typeof meta === 'string') return wrapper[level]?.({ duration }, meta)
+      return wrapper[level]?.({ ...meta, duration }, msg ?? 'Timer completed in %d ms', ...(msg ? [] : [duration]))
+    }
+  }
+
+  // 5b. Метод .span() - записи о начале, завершении и ошибке операции с идентификатором span
+  wrapper.span = (name, fn) => {
+    const parentSpanId = getLogContext()?.spanId
+    const spanId = crypto.randomBytes(SPAN_ID_BYTES).toString('hex')
+    const spanContext = parentSpanId ? { spanId, parentSpanId } : { spanId }
+
+    // Записи внутри fn (в том числе вложенных span) получают spanId из контекста логирования
+    return runWithLogContext(spanContext, () => {
+      const startTime = dependencies.Date.now()
+      wrapper.debug({ span: name }, 'Span %s started', name)
+
+      const complete = (result) => {
+        const duration = dependencies.Date.now() - startTime
+        wrapper.info({ span: name, duration }, 'Span %s completed in %d ms', name, duration)
+        return result
+      }
+      const fail = (error) => {
+        const duration = dependencies.Date.now() - startTime
+        wrapper.error({ span: name, duration, err: error }, 'Span %s failed after %d ms', name, duration)
+        throw error
+      }
+
+      let result
+      try {
+        result = fn({ ...spanContext })
+      } catch (error) {
+        fail(error)
+      }
+      return typeof result?.then === 'function' ? result.then(complete, fail) : complete(result)
+    })
+  }
+
+  // 5c. Методы .once() и .warnOnce() - запись один раз за процесс для ключа в пределах namespace
+  wrapper.once = (level, key, ...args) => {
+    // Ключ помечается только при фактической записи: при выключенном уровне запись будет сделана позже
+    if (typeof wrapper[level] !== 'function' || !wrapper.isLevelEnabled(level)) return false
+    let keys = onceRegistry.get(namespace)
+    if (!keys) onceRegistry.set(namespace, (keys = new Set()))
+    if (keys.has(key)) return false
+    keys.add(key)
+    wrapper[level](...args)
+    return true
+  }
+  wrapper.warnOnce = (key, ...args) => wrapper.once('warn', key, ...args)
+
+  // 5d. Метод .deprecate() - обертка функции с записью об устаревании при первом вызове
+  wrapper.deprecate = (fn, message, code) => {
+    // Как в util.deprecate: для одного кода запись делается один раз, без кода - один раз для обертки
+    const key = code !== undefined ? `deprecation:${code}` : Symbol('deprecation')
+    const deprecation = { message, ...(code !== undefined && { code }), ...(fn.name && { function: fn.name }) }
+    return function deprecated (...args) {
+      wrapper.once('warn', key, { deprecation }, 'DeprecationWarning: %s', message)
+      return new.target ? Reflect.construct(fn, args, new.target) : fn.apply(this, args)
+    }
+  }
 
   // 6. Свойство .level
   Object.defineProperty(wrapper, 'level', {
-    get: () => pinoInstance.level,
-    set: (newLevel) => { pinoInstance.level = newLevel },
+    get: () => current().level,
+    set: (newLevel) => {
+      current().level = newLevel
+      levelOverride = newLevel
+    },
     enumerable: true,
     configurable: true
   })
@@ -370,23 +868,61 @@ function initializeBaseLogger (env) {
   if (dependencies.baseLogger) {
     return dependencies.baseLogger
   }
+  const { logger, transport, level, customLevels } = createBaseLogger(env)
+
+  dependencies.baseLogger = logger
+  baseTransport = transport
+  baseLevelName = level
+  baseCustomLevels = customLevels
+  setupReopenSignal(env.LOG_REOPEN_SIGNAL)
+
+  if (env.LOG_WATCH_CONFIG === 'true' && !configWatcher) {
+    try {
+      watchConfig()
+    } catch (error) {
+      console.error(`[SYS_LOGGER WARNING] LOG_WATCH_CONFIG is ignored: ${error.message}`)
+    }
+  }
+
+  return dependencies.baseLogger
+}
+
+/**
+ * Создает базовый pino логгер и его транспорт по конфигурации
+ * @param {Object} env - Переменные окружения
+ * @param {Object|null} [fileConfig] - Конфигурация из файла (по умолчанию - текущая в config.js)
+ * @returns {{logger: pino.Logger, transport: Object, level: string, customLevels: Object[]}} Базовый логгер,
+ *          его транспорт, уровень и пользовательские уровни
+ * @throws {SystemError} TRANSPORT_INIT_FAILED - при ошибке конфигурации или создания транспорта
+ * @private
+ */
+function createBaseLogger (env, fileConfig = dependencies.getFileConfig()) {
+  let transportConfig
   try {
     const { pino, createTransport } = dependencies
-    const transportConfig = createTransport(env)
+    transportConfig = createTransport(env, fileConfig)
+    const customLevels = transportConfig.customLevels || []
 
     const options = {
       timestamp: true,
-      level: getLevelName(transportConfig.level || pino.levels.values.info)
+      level: getLevelName(transportConfig.level || pino.levels.values.info, customLevels),
+      // Ошибки в записи уже сериализованы (wrapLogMethod): стандартный сериализатор pino их исказил бы
+      serializers: { err: serializeErrField }
+    }
+    if (customLevels.length > 0) {
+      options.customLevels = Object.fromEntries(customLevels.map(level => [level.name, level.value]))
     }
 
-    dependencies.baseLogger = pino(options, transportConfig.transport)
+    const logger = pino(options, transportConfig.transport)
 
-    if (!dependencies.baseLogger[options.level]) {
+    if (!logger[options.level]) {
       throw new Error(`Logger initialization failed - level '${options.level}' method not found.`)
     }
 
-    return dependencies.baseLogger
+    return { logger, transport: transportConfig.transport, level: options.level, customLevels }
   } catch (error) {
+    // Транспорт, созданный до ошибки, больше не нужен
+    closeTransport(transportConfig?.transport)
     if (error.code === LOGGER_ERROR_CODES.TRANSPORT_INIT_FAILED.code) {
       throw error
     }
@@ -394,8 +930,347 @@ function initializeBaseLogger (env) {
   }
 }
 
+/**
+ * Применяет конфигурацию: создает новый базовый логгер и атомарно заменяет им прежний
+ * @param {Object} env - Переменные окружения
+ * @param {Object|null} fileConfig - Конфигурация из файла
+ * @returns {Promise<void>} Промис, который выполняется после закрытия прежнего транспорта
+ * @throws {SystemError} TRANSPORT_INIT_FAILED - если конфигурацию не удалось применить (прежняя остается активной)
+ * @private
+ */
+async function applyConfiguration (env, fileConfig) {
+  const { logger, transport, level, customLevels } = createBaseLogger(env, fileConfig)
+
+  const previousTransport = baseTransport
+  dependencies.setFileConfig(fileConfig)
+  dependencies.env = env
+  dependencies.baseLogger = logger
+  baseTransport = transport
+  baseLevelName = level
+  baseCustomLevels = customLevels
+  baseGeneration++
+  setupReopenSignal(env.LOG_REOPEN_SIGNAL)
+
+  if (previousTransport && previousTransport !== transport) {
+    await closeTransport(previousTransport)
+  }
+}
+
+/**
+ * Возвращает логгер для сообщений самой подсистемы логирования
+ *
+ * Сообщения пишутся в базовый логгер с namespace `sys-logger` в обход фильтра DEBUG: ошибки
+ * конфигурации должны попадать в лог, даже если namespace не включен.
+ *
+ * @returns {pino.Logger} Дочерний pino логгер
+ * @private
+ */
+function getInternalLogger () {
+  return initializeBaseLogger(dependencies.env).child({ namespace: 'sys-logger' })
+}
+
+/**
+ * Завершает транспорт: записывает буферизованные сообщения и закрывает файлы и worker-поток
+ *
+ * Ошибки закрытия не пробрасываются: выводится предупреждение.
+ *
+ * @param {Object|undefined} transport - Поток pino.transport, pino.multistream или поток pino.destination
+ * @returns {Promise<void>} Промис завершения (для потоков с событиями - после записи буферизованных сообщений
+ *          или закрытия, но не дольше TRANSPORT_CLOSE_TIMEOUT_MS)
+ * @private
+ */
+function closeTransport (transport) {
+  if (!transport || typeof transport.end !== 'function') return Promise.resolve()
+
+  return new Promise(resolve => {
+    // pino.multistream не генерирует событий: его потоки закрываются синхронно
+    const waitsForClose = typeof transport.once === 'function' && !transport.closed
+    let timer = null
+    const done = () => {
+      clearTimeout(timer)
+      if (waitsForClose) {
+        transport.off?.('finish', done)
+        transport.off?.('close', done)
+      }
+      resolve()
+    }
+    if (waitsForClose) {
+      // worker-поток pino.transport не удерживает процесс: 'close' может не наступить до выхода, поэтому
+      // достаточно 'finish' (все записи переданы worker-потоку), а таймаут не дает промису зависнуть
+      transport.once('finish', done)
+      transport.once('close', done)
+      timer = setTimeout(done, TRANSPORT_CLOSE_TIMEOUT_MS)
+    }
+    try {
+      transport.end()
+    } catch (error) {
+      console.error(`[SYS_LOGGER WARNING] Failed to close previous log transport: ${error.message}`)
+      done()
+    }
+    if (!waitsForClose) done()
+  })
+}
+
+/**
+ * Подписывает `reopenFiles` на сигнал из LOG_REOPEN_SIGNAL
+ *
+ * Подписка выполняется один раз; при смене сигнала (после переинициализации логгера) старая подписка
+ * снимается. Неподдерживаемый сигнал не прерывает инициализацию: выводится предупреждение.
+ *
+ * @param {string|undefined} signal - Имя сигнала (SIGHUP, SIGUSR1, SIGUSR2) или пустое значение
+ * @private
+ */
+function setupReopenSignal (signal) {
+  const { process } = dependencies
+  const normalized = signal ? signal.trim().toUpperCase() : null
+
+  if (normalized === reopenSignal) return
+
+  if (reopenSignal) {
+    process.off(reopenSignal, reopenFiles)
+    reopenSignal = null
+  }
+
+  if (!normalized) return
+
+  if (!REOPEN_SIGNALS.includes(normalized)) {
+    console.error(
+      `[SYS_LOGGER WARNING] Unsupported LOG_REOPEN_SIGNAL "${signal}". ` +
+      `Expected one of: ${REOPEN_SIGNALS.join(', ')}. Log files will not be reopened on signal.`
+    )
+    return
+  }
+
+  process.on(normalized, reopenFiles)
+  reopenSignal = normalized
+}
+
 // --- Публичный API ---
 
+/**
+ * Переоткрывает лог-файлы всех файловых транспортов
+ *
+ * Нужна для ротации внешними средствами (logrotate и т.п.): после переименования файла процессу
+ * отправляется сигнал (см. LOG_REOPEN_SIGNAL), и запись продолжается в новый файл по исходному пути.
+ * Запрос передается в worker-поток транспорта; файлы переоткрываются асинхронно, записи, сделанные
+ * во время переоткрытия, не теряются. Файловые дескрипторы и файлы с `prettyPrint` не переоткрываются.
+ *
+ * @returns {boolean} true, если запрос передан транспорту; false, если логгер еще не инициализирован
+ *          или у транспорта нет файлов для переоткрытия
+ */
+export function reopenFiles () {
+  if (!dependencies.baseLogger || !baseTransport) return false
+
+  if (typeof baseTransport.reopen === 'function') {
+    // Поток pino.destination в основном потоке
+    baseTransport.reopen()
+  } else if (Array.isArray(baseTransport.streams)) {
+    // pino.multistream ("легаси" режим без TRANSPORT{N}): переоткрываются его потоки pino.destination
+    const fileStreams = baseTransport.streams.filter(({ stream }) => typeof stream?.reopen === 'function')
+    if (fileStreams.length === 0) return false
+    for (const { stream } of fileStreams) stream.reopen()
+  } else if (typeof baseTransport.emit === 'function') {
+    // pino.transport пересылает событие 'message' в worker-поток
+    baseTransport.emit('message', { code: REOPEN_MESSAGE_CODE })
+  } else {
+    return false
+  }
+  return true
+}
+
+/**
+ * Переконфигурирует логгер без перезапуска процесса
+ *
+ * Основная ответственность:
+ * - Создание нового базового логгера и транспортов по новой конфигурации (с проверкой, см. `loadConfig`)
+ * - Атомарная замена: до успешного создания транспортов продолжает работать прежняя конфигурация
+ * - Перевод существующих логгеров из `createLogger` и `.child()` на новый базовый логгер
+ * - Запись буферизованных сообщений и закрытие прежних транспортов
+ *
+ * Аргумент - либо набор переменных окружения (заменяет текущий целиком), либо объект в формате
+ * `sys-logger.config.js` (заменяет конфигурацию из файла; переменные окружения по-прежнему имеют приоритет).
+ *
+ * @param {Object} [configOrEnv] - Переменные окружения или объект конфигурации (по умолчанию - текущие
+ *        переменные окружения)
+ * @returns {Promise<void>} Промис, который выполняется после записи буферизованных сообщений прежних транспортов
+ * @throws {SystemError} TRANSPORT_INIT_FAILED - если новую конфигурацию не удалось применить; прежняя
+ *         конфигурация при этом остается активной
+ */
+export async function reconfigure (configOrEnv = dependencies.env) {
+  const isConfig = isFileConfig(configOrEnv)
+  const env = isConfig ? dependencies.env : configOrEnv
+  const fileConfig = isConfig ? configOrEnv : dependencies.getFileConfig()
+
+  await applyConfiguration(env, fileConfig)
+}
+
+/**
+ * Отслеживает изменения файла конфигурации и .env файла и применяет их без перезапуска процесса
+ *
+ * Основная ответственность:
+ * - Перечитывание `sys-logger.config.js` (по умолчанию - загруженного при старте) и .env файла
+ *   (`envFile` или LOG_WATCH_ENV_FILE) после их изменения
+ * - Строгая проверка новой конфигурации: некорректная конфигурация не применяется
+ * - Применение уровней, паттернов DEBUG и транспортов через `reconfigure`
+ *
+ * Переменные из .env файла накладываются на переменные окружения, действовавшие при вызове `watchConfig`:
+ * удаленная из файла переменная возвращается к исходному значению. Ошибки (некорректный файл, ошибка
+ * создания транспорта) записываются в лог как CONFIG_LOAD_FAILED, логгер продолжает работать с последней
+ * корректной конфигурацией. Одновременно работает один наблюдатель: повторный вызов заменяет прежний.
+ *
+ * @param {Object} [options] - Настройки отслеживания
+ * @param {string} [options.configFile] - Путь к файлу конфигурации (по умолчанию - загруженный при старте)
+ * @param {string} [options.envFile] - Путь к .env файлу (по умолчанию - LOG_WATCH_ENV_FILE)
+ * @param {number} [options.debounce=200] - Задержка перед применением после последнего изменения, мс
+ * @returns {{close: function(): void, reload: function(): Promise<void>}} Наблюдатель: `close` прекращает
+ *          отслеживание, `reload` применяет текущее содержимое файлов немедленно
+ * @throws {SystemError} CONFIG_LOAD_FAILED - если отслеживать нечего (нет ни файла конфигурации, ни .env файла)
+ */
+export function watchConfig (options = {}) {
+  const { createConfigWatcher, getConfigFilePath } = dependencies
+  const baseEnv = { ...dependencies.env }
+  const configFile = options.configFile ?? getConfigFilePath() ?? undefined
+  const envFile = options.envFile ?? baseEnv.LOG_WATCH_ENV_FILE
+
+  unwatchConfig()
+
+  const watcher = createConfigWatcher({
+    configFile,
+    envFile,
+    debounce: options.debounce,
+    onChange: async ({ fileConfig, env: fileEnv }) => {
+      const env = fileEnv ? { ...baseEnv, ...fileEnv } : dependencies.env
+      const nextFileConfig = configFile ? fileConfig : dependencies.getFileConfig()
+
+      // Некорректная конфигурация не применяется (вместо замены значений на значения по умолчанию)
+      dependencies.loadConfig({ ...env, LOG_STRICT: 'true' }, nextFileConfig)
+      await applyConfiguration(env, nextFileConfig)
+
+      getInternalLogger().info({ configFile, envFile }, 'Logger configuration reloaded')
+    },
+    onError: (error) => {
+      const configError = error.code === LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED.code
+        ? error
+        : createConfigLoadError(error.message, error)
+      getInternalLogger().error(
+        { err: configError, configFile, envFile },
+        'Logger configuration reload failed, the last valid configuration is kept'
+      )
+    }
+  })
+
+  const handle = {
+    close () {
+      watcher.close()
+      if (configWatcher === handle) configWatcher = null
+    },
+    reload: watcher.reload
+  }
+  configWatcher = handle
+  return handle
+}
+
+/**
+ * Прекращает отслеживание изменений конфигурации, запущенное `watchConfig` или LOG_WATCH_CONFIG
+ */
+export function unwatchConfig () {
+  configWatcher?.close()
+}
+
+/**
+ * Включает вывод логов для namespace по паттернам (аналог `debug.enable`)
+ *
+ * Паттерны заменяют DEBUG (и ключ `debug` файла конфигурации) до следующего вызова, окружение процесса
+ * не изменяется. Синтаксис тот же, что в DEBUG: `api:*,-api:internal`. Действует и на созданные логгеры.
+ *
+ * @param {string|string[]|null} [patterns] - Паттерны через запятую или пробел (или массив паттернов);
+ *        null/undefined - вернуться к паттернам из DEBUG
+ * @returns {void}
+ */
+export function enable (patterns) {
+  if (patterns === undefined || patterns === null) {
+    enabledOverride = null
+    return
+  }
+  enabledOverride = Array.isArray(patterns) ? patterns.join(',') : String(patterns)
+}
+
+/**
+ * Выключает вывод логов для всех namespace (аналог `debug.disable`)
+ * @returns {string} Действовавшие паттерны (можно передать в `enable()`, чтобы восстановить их)
+ */
+export function disable () {
+  const previous = listEnabledPatterns().join(',')
+  enabledOverride = ''
+  return previous
+}
+
+/**
+ * Проверяет, включен ли вывод логов для namespace по действующим паттернам (аналог `debug.enabled`)
+ * @param {string} [namespace] - Namespace (без namespace - логгер `createLogger()`)
+ * @returns {boolean} true, если логи namespace выводятся
+ */
+export function enabled (namespace) {
+  return isNamespaceEnabled(namespace || undefined)
+}
+
+/**
+ * Возвращает действующие паттерны фильтрации по namespace
+ * @returns {string[]} Паттерны из `enable()` или DEBUG в исходном порядке (запреты - с префиксом `-`)
+ */
+export function listEnabledPatterns () {
+  return splitNamespacePatterns(getNamespacePatterns())
+}
+
+/**
+ * @typedef {Object} NamespaceInfo
+ * @property {string} namespace - Namespace
+ * @property {boolean} enabled - Выводятся ли логи namespace по действующим паттернам (DEBUG или `enable()`)
+ * @property {string|undefined} level - Уровень по правилам LOG_LEVELS или общий уровень
+ *           (без учета `logger.level` отдельных экземпляров; undefined до инициализации логгера)
+ * @property {number} loggers - Количество логгеров, созданных с этим namespace
+ */
+
+/**
+ * Возвращает namespace, созданные через `createLogger` и `logger.extend()`
+ *
+ * Состояние и уровень вычисляются на момент вызова, поэтому список подходит для диагностики
+ * (например, чтобы подобрать паттерны DEBUG при старте приложения или в консоли разработчика).
+ *
+ * @returns {NamespaceInfo[]} Namespace в алфавитном порядке
+ */
+export function listNamespaces () {
+  return [...namespaceRegistry]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([namespace, loggers]) => ({
+      namespace,
+      enabled: isNamespaceEnabled(namespace),
+      level: getNamespaceLevel(namespace) ?? baseLevelName ?? undefined,
+      loggers
+    }))
+}
+
+// Контекст логирования для асинхронной цепочки вызовов (см. context.js)
+export { getLogContext, runWithLogContext, setLogContext }
+
+/**
+ * Создает middleware журнала HTTP запросов для node:http и Express/Connect (см. http.js)
+ *
+ * Записи делаются логгером `options.logger` (по умолчанию - `createLogger('http')`), обработчик `next`
+ * выполняется в контексте логирования с `requestId`.
+ *
+ * @param {Object} [options] - Настройки (см. `RequestLoggerOptions` в http.js)
+ * @param {Object} [options.logger] - Логгер для записей о запросах
+ * @returns {function(Object, Object, Function=): *} Middleware `(req, res, next)`
+ */
+export function httpLogger (options = {}) {
+  return createRequestLogger({
+    ...options,
+    logger: options.logger ?? createLogger('http'),
+    runWithContext: runWithLogContext
+  })
+}
+
 /**
  * Создает обертку над pino логгером с фильтрацией по namespace и расширенным API
  * @param {string} [namespace] - Namespace для фильтрации
@@ -405,10 +1280,16 @@ function initializeBaseLogger (env) {
 export function createLogger (namespace = undefined) {
   try {
     const basePinoLogger = initializeBaseLogger(dependencies.env)
+    const bindingsChain = namespace ? [{ namespace }] : []
     const pinoInstance = namespace ? basePinoLogger.child({ namespace }) : basePinoLogger
-    return _wrapPinoInstance(pinoInstance, namespace)
+    registerNamespace(namespace)
+    return _wrapPinoInstance(pinoInstance, namespace, bindingsChain)
   } catch (error) {
     console.error(`[SYS_LOGGER FATAL ERROR] Logger creation failed for namespace "${namespace}":`, error)
     throw error
   }
 }
+
+// Файл конфигурации загружается один раз при импорте точки входа (не config.js, который импортируют
+// и worker-потоки транспортов): createLogger остается синхронным
+await loadStartupFileConfig(dependencies.env)
@@ -0,0 +1,92 @@
+/**
+ * @file src/logger/pseudonymize.js
+ * @description Псевдонимизация идентификаторов в записях лога (HMAC с ключом)
+ * @version 0.1.1
+ *
+ * @description
+ * Значения настроенных полей (например, `userId`, `email`) заменяются токеном `psd_<hex>` - HMAC-SHA256
+ * от значения с секретным ключом. Одно и то же значение всегда дает один и тот же токен, поэтому события
+ * одного пользователя можно сопоставить, не записывая исходный идентификатор. Без ключа токен нельзя
+ * получить перебором известных идентификаторов.
+ *
+ * Поля сопоставляются по имени ключа на любом уровне вложенности. Обход объектов выполняет
+ * `serializeValue` (serialize-value.js): модуль только решает, какие поля заменять, и вычисляет токены.
+ */
+
+import crypto from 'crypto'
+
+// Префикс токена - по нему видно, что значение псевдонимизировано
+export const PSEUDONYM_PREFIX = 'psd_'
+
+// Количество hex-символов HMAC в токене (64 бита - достаточно для сопоставления событий)
+const TOKEN_LENGTH = 16
+
+// Значение полей, если ключ не задан: исходные данные не записываются
+export const MISSING_KEY_PLACEHOLDER = '[PSEUDONYMIZATION KEY MISSING]'
+
+/**
+ * Разбирает список полей для псевдонимизации
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|string[]|undefined} value - Имена полей через запятую или массив имен
+ * @returns {{fields: string[], invalid: string[]}} Имена полей и некорректные записи
+ */
+export function parsePseudonymizeFields (value) {
+  const entries = typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : []
+  const fields = []
+  const invalid = []
+  for (const entry of entries) {
+    const field = typeof entry === 'string' ? entry.trim() : ''
+    if (field) {
+      fields.push(field)
+    } else if (typeof entry !== 'string') {
+      invalid.push(String(entry))
+    }
+  }
+  return { fields, invalid }
+}
+
+/**
+ * @typedef {Object} Pseudonymizer
+ * @property {boolean} active - Заданы ли поля для псевдонимизации
+ * @property {function(string): boolean} isField - Проверяет, нужно ли псевдонимизировать поле с этим именем
+ * @property {function(*): *} pseudonymize - Возвращает токен для значения (null и undefined не изменяются)
+ */
+
+/**
+ * Создает псевдонимизатор по списку полей и ключу
+ *
+ * @param {Object} [options] - Настройки
+ * @param {string|string[]} [options.fields] - Имена полей (см. `parsePseudonymizeFields`)
+ * @param {string} [options.key] - Секретный ключ HMAC; без ключа значения полей заменяются
+ *        на `[PSEUDONYMIZATION KEY MISSING]`
+ * @returns {Pseudonymizer} Псевдонимизатор
+ */
+export function createPseudonymizer ({ fields, key } = {}) {
+  const fieldSet = new Set(parsePseudonymizeFields(fields).fields)
+
+  /**
+   * Вычисляет токен для значения поля
+   * @param {*} value - Значение (строки и числа - как есть, объекты - в виде JSON)
+   * @returns {*} Токен или исходное значение для null/undefined
+   */
+  function pseudonymize (value) {
+    if (value === null || value === undefined) return value
+    if (!key) return MISSING_KEY_PLACEHOLDER
+    let input
+    try {
+      input = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    } catch {
+      input = String(value) // Циклические ссылки
+    }
+    const digest = crypto.createHmac('sha256', key).update(input).digest('hex')
+    return PSEUDONYM_PREFIX + digest.slice(0, TOKEN_LENGTH)
+  }
+
+  return {
+    active: fieldSet.size > 0,
+    isField: (name) => fieldSet.has(name),
+    pseudonymize
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * @file src/logger/redact.js
+ * @description Скрытие чувствительных данных в записях лога: по путям и по шаблонам значений
+ * @version 0.1.0
+ *
+ * @description
+ * Правила двух видов:
+ * - пути в стиле pino (`req.headers.authorization`, `*.password`, `users[*].token`, `headers["x-api-key"]`) -
+ *   значение по пути скрывается целиком; `*` соответствует любому ключу на одном уровне вложенности;
+ * - шаблоны значений - встроенные (`jwt`, `card`, `email`) или собственные RegExp (только в файле конфигурации) -
+ *   совпадения скрываются во всех строках записи, включая сообщение и ошибки.
+ *
+ * Стратегии:
+ * - `replace` - значение (совпадение) заменяется маркером (по умолчанию `[REDACTED]`);
+ * - `mask` - остается только окончание (для email - первый символ и домен, для карты - последние 4 цифры);
+ * - `remove` - ключ удаляется из записи (в массивах - заменяется маркером), совпадение - вырезается.
+ *
+ * Правила применяются в основном потоке (logger.js) до передачи записи pino, поэтому одинаково действуют
+ * для всех транспортов. Модуль не изменяет исходные объекты.
+ */
+
+export const REDACT_STRATEGIES = ['replace', 'mask', 'remove']
+
+export const DEFAULT_REDACT_CENSOR = '[REDACTED]'
+
+// Сегмент пути без кавычек: без точек, скобок, кавычек, пробелов и `=` (отделяет стратегию)
+const PLAIN_SEGMENT = /^[^.[\]"'=\s]+$/
+
+/**
+ * Проверяет номер карты по алгоритму Луна (отсекает случайные последовательности цифр)
+ * @param {string} value - Номер карты (допускаются пробелы и дефисы)
+ * @returns {boolean} true, если контрольная сумма сходится
+ * @private
+ */
+function isLuhnValid (value) {
+  const digits = value.replace(/\D/g, '')
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Маскирует строку, оставляя последние 4 символа (короткие строки маскируются полностью)
+ * @param {string} value - Исходная строка
+ * @returns {string} Маскированная строка той же длины
+ */
+export function maskValue (value) {
+  const visible = value.length >= 12 ? 4 : 0
+  return '*'.repeat(value.length - visible) + value.slice(value.length - visible)
+}
+
+/**
+ * Встроенные шаблоны значений
+ * @type {Object<string, {regex: RegExp, validate?: function(string): boolean, mask: function(string): string}>}
+ */
+const BUILTIN_PATTERNS = {
+  jwt: {
+    regex: /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g,
+    mask: maskValue
+  },
+  card: {
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: isLuhnValid,
+    // Цифры, кроме последних 4, заменяются на `*`, разделители сохраняются
+    mask: (value) => {
+      let hidden = value.replace(/\D/g, '').length - 4
+      return value.replace(/\d/g, digit => hidden-- > 0 ? '*' : digit)
+    }
+  },
+  email: {
+    regex: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    mask: (value) => {
+      const at = value.indexOf('@')
+      return value[0] + '*'.repeat(Math.max(at - 1, 1)) + value.slice(at)
+    }
+  }
+}
+
+export const BUILTIN_REDACT_PATTERNS = Object.keys(BUILTIN_PATTERNS)
+
+/**
+ * Разбирает путь в стиле pino на сегменты
+ *
+ * Детерминированная функция.
+ *
+ * @param {string} path - Путь (`a.b`, `*.password`, `a[*].b`, `a[0]`, `headers["x-api-key"]`)
+ * @returns {string[]|null} Сегменты пути (`*` - любой ключ) или null, если путь некорректен
+ */
+export function parseRedactPath (path) {
+  const segments = []
+  const source = path.trim()
+  let index = 0
+  while (index < source.length) {
+    if (source[index] === '[') {
+      const match = /^\[(?:"([^"]*)"|'([^']*)'|(\d+|\*))\]/.exec(source.slice(index))
+      if (!match) return null
+      segments.push(match[1] ?? match[2] ?? match[3])
+      index += match[0].length
+    } else {
+      if (source[index] === '.' && segments.length > 0) index++
+      const end = source.slice(index).search(/[.[]/)
+      const segment = end === -1 ? source.slice(index) : source.slice(index, index + end)
+      if (!PLAIN_SEGMENT.test(segment)) return null
+      segments.push(segment)
+      index += segment.length
+    }
+  }
+  return segments.length > 0 ? segments : null
+}
+
+/**
+ * Разбирает список правил `правило[=стратегия],...` из строки или массива
+ * @param {string|Array<string|Object>} value - Значение настройки
+ * @param {function(string|Object): Object|null} parseRule - Разбирает правило без стратегии (null - некорректно)
+ * @returns {{rules: Object[], invalid: string[]}} Корректные правила и некорректные записи
+ * @private
+ */
+function parseRules (value, parseRule) {
+  const entries = typeof value === 'string'
+    ? value.split(',').map(entry => entry.trim()).filter(Boolean)
+    : Array.isArray(value) ? value : [value]
+
+  const rules = []
+  const invalid = []
+  for (const entry of entries) {
+    let target = entry
+    let strategy
+    if (typeof entry === 'string') {
+      const separator = entry.lastIndexOf('=')
+      if (separator > 0 && !entry.slice(separator).includes(']')) {
+        target = entry.slice(0, separator).trim()
+        strategy = entry.slice(separator + 1).trim().toLowerCase()
+      }
+    } else if (entry && typeof entry === 'object') {
+      strategy = entry.strategy
+    }
+
+    const rule = strategy === undefined || REDACT_STRATEGIES.includes(strategy) ? parseRule(target) : null
+    if (rule) {
+      rules.push({ ...rule, strategy })
+    } else {
+      invalid.push(typeof entry === 'string' ? entry : JSON.stringify(entry) ?? String(entry))
+    }
+  }
+  return { rules, invalid }
+}
+
+/**
+ * Разбирает правила скрытия по путям (LOG_REDACT_PATHS или ключ `redactPaths` файла конфигурации)
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|Array<string|{path: string, strategy?: string}>} value - `'req.headers.authorization,*.password=remove'`
+ *        или массив путей / объектов
+ * @returns {{rules: Array<{path: string[], strategy: (string|undefined)}>, invalid: string[]}} Правила
+ *          (стратегия undefined - общая) и некорректные записи
+ */
+export function parseRedactPaths (value) {
+  return parseRules(value, (target) => {
+    const source = typeof target === 'string' ? target : target?.path
+    const path = typeof source === 'string' ? parseRedactPath(source) : null
+    return path && { path }
+  })
+}
+
+/**
+ * Разбирает шаблоны значений (LOG_REDACT_PATTERNS или ключ `redactPatterns` файла конфигурации)
+ *
+ * Детерминированная функция.
+ *
+ * @param {string|Array<string|{pattern: (string|RegExp), strategy?: string}>} value - Имена встроенных шаблонов
+ *        (`'jwt,card=mask,email'`) или массив имен / объектов с собственным RegExp
+ * @returns {{rules: Array<{name: string, regex: RegExp, strategy: (string|undefined)}>, invalid: string[]}}
+ *          Правила и некорректные записи
+ */
+export function parseRedactPatterns (value) {
+  return parseRules(value, (target) => {
+    if (typeof target === 'string') {
+      const builtin = BUILTIN_PATTERNS[target.toLowerCase()]
+      return builtin ? { name: target.toLowerCase(), ...builtin } : null
+    }
+    const pattern = target?.pattern
+    if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) return null
+    try {
+      const flags = pattern instanceof RegExp ? pattern.flags : ''
+      const regex = new RegExp(pattern, flags.includes('g') ? flags : flags + 'g')
+      return { name: String(pattern), regex, mask: maskValue }
+    } catch {
+      return null
+    }
+  })
+}
+
+/**
+ * @typedef {Object} RedactOptions
+ * @property {string|Array} [paths] - Правила по путям (см. `parseRedactPaths`)
+ * @property {string|Array} [patterns] - Шаблоны значений (см. `parseRedactPatterns`)
+ * @property {string} [strategy='replace'] - Стратегия для правил без собственной стратегии
+ * @property {string} [censor='[REDACTED]'] - Маркер для стратегии `replace`
+ */
+
+/**
+ * @typedef {Object} Redactor
+ * @property {boolean} active - Заданы ли правила (если нет, `redact` возвращает значения без изменений)
+ * @property {function(*): *} redact - Возвращает копию значения со скрытыми данными
+ */
+
+/**
+ * Создает функцию скрытия чувствительных данных по правилам
+ *
+ * Некорректные правила пропускаются (о них сообщает проверка конфигурации в config.js).
+ * Рекурсивно обрабатываются простые объекты и массивы, а также строки, сообщения и стеки ошибок.
+ *
+ * @param {RedactOptions} [options] - Правила и стратегия
+ * @returns {Redactor} Функция скрытия
+ */
+export function createRedactor (options = {}) {
+  const defaultStrategy = REDACT_STRATEGIES.includes(options.strategy) ? options.strategy : 'replace'
+  const censor = typeof options.censor === 'string' ? options.censor : DEFAULT_REDACT_CENSOR
+  const pathRules = options.paths ? parseRedactPaths(options.paths).rules : []
+  const patternRules = options.patterns ? parseRedactPatterns(options.patterns).rules : []
+
+  if (pathRules.length === 0 && patternRules.length === 0) {
+    return { active: false, redact: value => value }
+  }
+
+  const rootCandidates = pathRules.map(rule => ({ rule, index: 0 }))
+
+  /**
+   * Скрывает совпадения шаблонов значений в строке
+   * @param {string} value - Строка
+   * @returns {string}
+   */
+  function redactString (value) {
+    let result = value
+    for (const { regex, validate, mask, strategy = defaultStrategy } of patternRules) {
+      regex.lastIndex = 0
+      result = result.replace(regex, (match) => {
+        if (validate && !validate(match)) return match
+        if (strategy === 'remove') return ''
+        return strategy === 'mask' ? mask(match) : censor
+      })
+    }
+    return result
+  }
+
+  /**
+   * Возвращает значение, скрытое правилом пути
+   * @param {*} value - Значение по пути
+   * @param {string} strategy - Стратегия правила
+   * @returns {*}
+   */
+  function censorValue (value, strategy) {
+    if (strategy === 'mask' && (typeof value === 'string' || typeof value === 'number')) {
+      return maskValue(String(value))
+    }
+    return censor
+  }
+
+  /**
+   * Копирует ошибку со скрытыми данными в сообщении и стеке (если в них есть совпадения)
+   * @param {Error} error - Ошибка
+   * @returns {Error|Object} Исходная ошибка или копия с тем же прототипом
+   */
+  function redactError (error) {
+    const message = redactString(String(error.message))
+    const stack = typeof error.stack === 'string' ? redactString(error.stack) : error.stack
+    if (message === error.message && stack === error.stack) return error
+    const copy = Object.create(Object.getPrototypeOf(error))
+    return Object.assign(copy, error, { message, stack })
+  }
+
+  /**
+   * Рекурсивно обрабатывает значение
+   * @param {*} value - Значение
+   * @param {Array<{rule: Object, index: number}>} candidates - Правила путей, префикс которых совпал
+   * @param {Set<Object>} seen - Обрабатываемые объекты (защита от циклических ссылок)
+   * @returns {*}
+   */
+  function redactNode (value, candidates, seen) {
+    if (typeof value === 'string') return patternRules.length > 0 ? redactString(value) : value
+    if (value instanceof Error) return patternRules.length > 0 ? redactError(value) : value
+    if (!value || typeof value !== 'object' || seen.has(value)) return value
+
+    const isArray = Array.isArray(value)
+    if (!isArray && Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+      return value
+    }
+
+    seen.add(value)
+    const result = isArray ? [] : {}
+    for (const [key, item] of Object.entries(value)) {
+      const next = []
+      let matched = null
+      for (const { rule, index } of candidates) {
+        const segment = rule.path[index]
+        if (segment !== '*' && segment !== key) continue
+        if (index + 1 === rule.path.length) {
+          matched ??= rule
+        } else {
+          next.push({ rule, index: index + 1 })
+        }
+      }
+
+      if (matched) {
+        const strategy = matched.strategy ?? defaultStrategy
+        if (strategy === 'remove' && !isArray) continue
+        result[key] = censorValue(item, strategy)
+      } else {
+        result[key] = redactNode(item, next, seen)
+      }
+    }
+    seen.delete(value)
+    return result
+  }
+
+  return {
+    active: true,
+    redact: (value) => redactNode(value, rootCandidates, new Set())
+  }
+}
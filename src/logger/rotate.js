@@ -1,15 +1,59 @@
 /**
  * @file src/logger/rotate.js
  * @description Модуль управления ротацией и архивированием лог файлов
- * @version 0.1.2
+ * @version 0.7.0
+ *
+ * @changelog
+ * - 0.7.0 (2026-10-19): `cleanupOldArchives` с опцией `filePattern` применяет политики хранения и к прежним файлам,
+ *                      созданным по шаблону имени при ротации по времени, и к их архивам.
+ * - 0.6.0 (2026-10-19): Очистка архивов ограничена архивами ротируемого файла (`fileName` в `cleanupOldArchives`):
+ *                      ротация одного файла больше не удаляет архивы других файлов в той же папке.
+ * - 0.5.0 (2026-10-19): Хранение архивов по возрасту (`maxAge`) и по суммарному размеру (`maxTotalSize`),
+ *                      режим `dryRun` в `cleanupOldArchives`.
+ * - 0.4.0 (2026-10-19): Ротация по времени: `parseRotationInterval`, `getNextRotationTime` (пресеты hourly/daily/weekly
+ *                      и cron-выражения). Переименование в архив вынесено из `checkAndRotate` в `rotateFile`.
+ * - 0.3.0 (2026-10-19): Фоновое gzip-сжатие архивов (`compressArchive`), `cleanupOldArchives` учитывает
+ *                      архивы `.gz`. Исправлен разбор времени в имени архива (ранее получалась Invalid Date,
+ *                      и порядок удаления архивов был случайным).
+ * - 0.2.0 (2026-10-19): Модуль больше не создает логгер при импорте: он используется таргетом
+ *                      `rotating-file.js` внутри worker-потока pino, где инициализация логгера
+ *                      привела бы к рекурсивному созданию транспортов.
  */
 
 import fs from 'fs'
 import path from 'path'
-import { createLogger } from './logger.js'
-import { createCleanupError, createRotateError } from './error-fabs-logger.js'
+import zlib from 'zlib'
+import { pipeline } from 'stream/promises'
+import { createCleanupError, createRotateError, createRotateIntervalError } from './error-fabs-logger.js'
+import { LOGGER_ERROR_CODES } from './errors-logger.js'
+
+// Имя архива: <файл>.<ISO-время с '-' вместо ':' и '.'>[.gz]
+const ARCHIVE_PATTERN = /^(.+)\.(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z(\.gz)?$/
+
+// Незавершенные фоновые сжатия архивов
+const pendingCompressions = new Set()
+
+// Пресеты интервалов ротации в виде cron-выражений (время UTC)
+const INTERVAL_PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 0 * * *',
+  weekly: '0 0 * * 1'
+}
 
-const logger = createLogger('logger:rotate')
+// Поля cron-выражения: минуты, часы, день месяца, месяц, день недели (0 и 7 - воскресенье)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+]
+
+// Длительность суток в миллисекундах (для `maxAge`)
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Горизонт поиска следующего времени ротации (покрывает, например, 29 февраля)
+const MAX_SCHEDULE_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000
 
 /**
  * @typedef {Object} RotateConfig
@@ -17,6 +61,29 @@ const logger = createLogger('logger:rotate')
  * @property {number} maxSize - Максимальный размер файла в байтах
  * @property {number} maxFiles - Максимальное количество архивных файлов
  * @property {boolean} compress - Сжимать архивные файлы
+ * @property {number} [maxAge=0] - Максимальный возраст архива в днях (0 - без ограничения)
+ * @property {number} [maxTotalSize=0] - Максимальный суммарный размер архивов в байтах (0 - без ограничения)
+ */
+
+/**
+ * @typedef {Object} CleanupOptions
+ * @property {boolean} [dryRun=false] - Только вернуть список архивов к удалению, не удаляя их
+ * @property {string} [fileName] - Имя файла лога (без папки), архивы которого очищаются; если не задано,
+ *           очищаются архивы всех файлов папки
+ * @property {RegExp} [filePattern] - Шаблон имен файлов лога (вместо `fileName`): очищаются сами подходящие файлы
+ *           (время - по последнему изменению) и их архивы
+ * @property {string[]} [exclude=[]] - Имена файлов, которые не очищаются (например, текущий файл лога)
+ */
+
+/**
+ * @typedef {Object} RotationSchedule
+ * @property {Set<number>} minutes - Допустимые минуты
+ * @property {Set<number>} hours - Допустимые часы
+ * @property {Set<number>} days - Допустимые дни месяца
+ * @property {Set<number>} months - Допустимые месяцы (1-12)
+ * @property {Set<number>} weekdays - Допустимые дни недели (0-6, 0 - воскресенье)
+ * @property {boolean} daysRestricted - Поле дня месяца задано не через `*`
+ * @property {boolean} weekdaysRestricted - Поле дня недели задано не через `*`
  */
 
 /**
@@ -25,8 +92,9 @@ const logger = createLogger('logger:rotate')
 export const dependencies = {
   fs,
   path,
-  env: process.env,
-  logger
+  zlib,
+  pipeline,
+  env: process.env
 }
 
 /**
@@ -45,9 +113,14 @@ export function setDependencies (newDependencies) {
  * - Создание архивных копий при превышении лимита
  * - Очистка старых архивов
  *
+ * При `config.compress` архив сжимается в фоне (см. `compressArchive`), очистка выполняется
+ * после сжатия. Ошибки фонового сжатия выводятся в console.error; дождаться завершения
+ * можно через `waitForCompressions`.
+ *
  * @param {string} filePath - Путь к файлу лога
  * @param {RotateConfig} config - Конфигурация ротации
  * @returns {Promise<boolean>} true если была выполнена ротация
+ * @throws {SystemError} ROTATE_FAILED (createRotateError) - при ошибке переименования или создания файла
  */
 export async function checkAndRotate (filePath, config) {
   const { fs } = dependencies
@@ -62,21 +135,282 @@ export async function checkAndRotate (filePath, config) {
       return false
     }
 
+    await rotateFile(filePath, config)
+
+    return true
+  } catch (error) {
+    if (error.code === LOGGER_ERROR_CODES.ROTATE_FAILED.code) {
+      throw error
+    }
+    throw createRotateError(filePath, error.message, error)
+  }
+}
+
+/**
+ * Переименовывает файл лога в архив независимо от его размера
+ *
+ * Основная ответственность:
+ * - Переименование файла в `<файл>.<ISO-время>` и создание пустого файла на его месте
+ * - Сжатие архива (в фоне, при `config.compress`) и очистка старых архивов этого файла
+ *
+ * Используется `checkAndRotate` (ротация по размеру) и таргетом `rotating-file.js` (ротация по времени).
+ *
+ * @param {string} filePath - Путь к файлу лога
+ * @param {RotateConfig} config - Конфигурация ротации
+ * @returns {Promise<string>} Путь к созданному архиву (до сжатия)
+ * @throws {SystemError} ROTATE_FAILED (createRotateError) - при ошибке переименования, создания файла
+ *         или очистки архивов (CLEANUP_FAILED в `.original`)
+ */
+export async function rotateFile (filePath, config) {
+  const { fs, path } = dependencies
+
+  try {
     const now = new Date()
     const timestamp = now.toISOString().replace(/[:.]/g, '-')
     const archivePath = `${filePath}.${timestamp}`
+    // Очищаются только архивы ротируемого файла: у каждого файла в папке свои лимиты
+    const cleanupOptions = { fileName: path.basename(filePath) }
 
     await fs.promises.rename(filePath, archivePath)
     await fs.promises.writeFile(filePath, '')
 
-    await cleanupOldArchives(config.logFolder, config)
+    if (config.compress) {
+      // Сжатие выполняется в фоне: запись в новый файл не ждет окончания gzip
+      trackCompression(
+        compressArchive(archivePath)
+          .catch(reportBackgroundError)
+          .then(() => cleanupOldArchives(config.logFolder, config, cleanupOptions))
+          .catch(reportBackgroundError)
+      )
+    } else {
+      await cleanupOldArchives(config.logFolder, config, cleanupOptions)
+    }
 
-    return true
+    return archivePath
   } catch (error) {
     throw createRotateError(filePath, error.message, error)
   }
 }
 
+/**
+ * Разбирает интервал ротации по времени
+ *
+ * Поддерживаются пресеты `hourly` (начало каждого часа), `daily` (полночь), `weekly` (полночь понедельника)
+ * и cron-выражения из пяти полей `минуты часы день_месяца месяц день_недели` с синтаксисом `*`, `N`,
+ * `N-M`, `* /K`, `N-M/K` и списками через запятую. Время интерпретируется в UTC - так же, как `{date}`
+ * в шаблоне имени файла. Если заданы и день месяца, и день недели, достаточно совпадения одного из них.
+ *
+ * Детерминированная функция.
+ *
+ * @param {string} interval - Пресет или cron-выражение
+ * @returns {RotationSchedule} Разобранное расписание
+ * @throws {SystemError} INVALID_ROTATE_INTERVAL (createRotateIntervalError) - при некорректном значении
+ */
+export function parseRotationInterval (interval) {
+  const spec = INTERVAL_PRESETS[String(interval).trim().toLowerCase()] || String(interval).trim()
+  const parts = spec.split(/\s+/)
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw createRotateIntervalError(interval, `expected hourly, daily, weekly or ${CRON_FIELDS.length} cron fields`)
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => {
+    return parseCronField(interval, part, CRON_FIELDS[index])
+  })
+
+  // 7 в поле дня недели - тоже воскресенье
+  if (weekdays.delete(7)) weekdays.add(0)
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  }
+}
+
+/**
+ * Вычисляет ближайшее время ротации строго после указанного момента
+ *
+ * Детерминированная функция.
+ *
+ * @param {string} interval - Пресет или cron-выражение (см. `parseRotationInterval`)
+ * @param {Date} [from=new Date()] - Момент, после которого ищется время ротации
+ * @returns {Date} Время следующей ротации (UTC, с точностью до минуты)
+ * @throws {SystemError} INVALID_ROTATE_INTERVAL (createRotateIntervalError) - при некорректном значении
+ *         или если выражение не совпадает ни с одной датой (например, `0 0 31 2 *`)
+ */
+export function getNextRotationTime (interval, from = new Date()) {
+  const schedule = parseRotationInterval(interval)
+  const limit = from.getTime() + MAX_SCHEDULE_SEARCH_MS
+  const date = new Date(from.getTime())
+  date.setUTCSeconds(0, 0)
+  date.setUTCMinutes(date.getUTCMinutes() + 1)
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1)
+      date.setUTCHours(0, 0, 0, 0)
+    } else if (!matchesScheduleDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1)
+      date.setUTCHours(0, 0, 0, 0)
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0)
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0)
+    } else {
+      return date
+    }
+  }
+
+  throw createRotateIntervalError(interval, 'the expression never matches')
+}
+
+/**
+ * Разбирает одно поле cron-выражения в множество значений
+ *
+ * Детерминированная функция.
+ *
+ * @param {string} interval - Исходный интервал (для сообщения об ошибке)
+ * @param {string} part - Значение поля
+ * @param {{name: string, min: number, max: number}} field - Описание поля
+ * @returns {Set<number>} Допустимые значения поля
+ * @throws {SystemError} INVALID_ROTATE_INTERVAL (createRotateIntervalError) - при некорректном значении
+ * @private
+ */
+function parseCronField (interval, part, field) {
+  const values = new Set()
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/)
+    if (!match) {
+      throw createRotateIntervalError(interval, `invalid ${field.name} "${item}"`)
+    }
+
+    const [from, to] = match[1] === '*'
+      ? [field.min, field.max]
+      : match[1].split('-').map(Number)
+    const end = match[1].includes('-') || match[1] === '*' || match[2] ? (to ?? field.max) : from
+    const step = match[2] ? Number(match[2]) : 1
+
+    if (from < field.min || end > field.max || from > end || step < 1) {
+      throw createRotateIntervalError(interval, `${field.name} "${item}" is out of range ${field.min}-${field.max}`)
+    }
+
+    for (let value = from; value <= end; value += step) {
+      values.add(value)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Проверяет совпадение дня с расписанием (день месяца и день недели)
+ *
+ * Детерминированная функция.
+ *
+ * @param {RotationSchedule} schedule - Расписание
+ * @param {Date} date - Проверяемая дата (UTC)
+ * @returns {boolean} true, если день подходит
+ * @private
+ */
+function matchesScheduleDay (schedule, date) {
+  const dayMatches = schedule.days.has(date.getUTCDate())
+  const weekdayMatches = schedule.weekdays.has(date.getUTCDay())
+
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) {
+    return dayMatches || weekdayMatches
+  }
+  return dayMatches && weekdayMatches
+}
+
+/**
+ * Сжимает архивный файл в gzip
+ *
+ * Основная ответственность:
+ * - Потоковое сжатие `archivePath` в `<archivePath>.gz` через zlib
+ * - Удаление исходного архива после успешного сжатия
+ *
+ * При ошибке сжатия частично записанный `.gz` удаляется, исходный архив сохраняется.
+ *
+ * @param {string} archivePath - Путь к архивному файлу
+ * @returns {Promise<string>} Путь к сжатому архиву
+ * @throws {SystemError} ROTATE_FAILED (createRotateError) - при ошибке чтения, сжатия, записи
+ *         или удаления исходного архива; исходная ошибка fs/zlib доступна в `.original`
+ */
+export async function compressArchive (archivePath) {
+  const { fs, zlib, pipeline } = dependencies
+  const gzipPath = `${archivePath}.gz`
+
+  try {
+    await pipeline(fs.createReadStream(archivePath), zlib.createGzip(), fs.createWriteStream(gzipPath))
+  } catch (error) {
+    await fs.promises.rm(gzipPath, { force: true }).catch(() => {})
+    throw createRotateError(archivePath, `compression failed: ${error.message}`, error)
+  }
+
+  try {
+    await fs.promises.unlink(archivePath)
+  } catch (error) {
+    throw createRotateError(archivePath, error.message, error)
+  }
+
+  return gzipPath
+}
+
+/**
+ * Ожидает завершения всех фоновых сжатий архивов
+ *
+ * Используется при штатной остановке и в тестах.
+ *
+ * @returns {Promise<void>}
+ */
+export async function waitForCompressions () {
+  await Promise.all([...pendingCompressions])
+}
+
+/**
+ * Регистрирует фоновое сжатие до его завершения
+ * @param {Promise<*>} compression - Промис фонового сжатия (не отклоняется)
+ * @private
+ */
+function trackCompression (compression) {
+  pendingCompressions.add(compression)
+  compression.finally(() => pendingCompressions.delete(compression))
+}
+
+/**
+ * Выводит ошибку фоновой операции ротации
+ *
+ * Используется console.error: модуль работает внутри транспорта и не может писать через логгер.
+ *
+ * @param {Error} error - Ошибка операции
+ * @private
+ */
+function reportBackgroundError (error) {
+  console.error(`[SYS_LOGGER ERROR] ${error.message}`)
+}
+
+/**
+ * Разбирает имя архива на имя исходного файла и время создания архива
+ *
+ * Детерминированная функция.
+ *
+ * @param {string} fileName - Имя файла
+ * @returns {{baseName: string, timestamp: Date}|null} Части имени или null, если имя не является именем архива
+ * @private
+ */
+function parseArchiveName (fileName) {
+  const match = fileName.match(ARCHIVE_PATTERN)
+  if (!match) return null
+  const [, baseName, date, hours, minutes, seconds, ms = '000'] = match
+  return { baseName, timestamp: new Date(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`) }
+}
+
 /**
  * Архивирует тестовые логи
  *
@@ -130,39 +464,69 @@ export async function archiveTestLogs (testFile, archiveFile) {
  * Очищает старые архивные файлы
  *
  * Основная ответственность:
- * - Поиск архивных файлов в папке
- * - Сортировка по дате создания
- * - Удаление старых архивов сверх лимита
+ * - Поиск архивных файлов в папке (включая сжатые `.gz`); при `options.fileName` - только архивов этого файла,
+ *   при `options.filePattern` - подходящих файлов лога и их архивов
+ * - Сортировка по времени из имени архива
+ * - Удаление архивов, нарушающих политики хранения
+ *
+ * Политики хранения применяются одновременно, архив удаляется при нарушении любой из них:
+ * - `maxFiles` - хранятся только самые свежие архивы;
+ * - `maxAge` - удаляются архивы старше указанного числа дней (по времени из имени архива);
+ * - `maxTotalSize` - свежие архивы хранятся, пока их суммарный размер не превышает лимит,
+ *   более старые удаляются.
  *
  * @param {string} logFolder - Папка с логами
  * @param {RotateConfig} config - Конфигурация ротации
- * @returns {Promise<string[]>} Пути удаленных файлов
+ * @param {CleanupOptions} [options={}] - Параметры очистки
+ * @returns {Promise<string[]>} Пути удаленных файлов (при `dryRun` - файлов, которые были бы удалены)
+ * @throws {SystemError} CLEANUP_FAILED (createCleanupError) - при ошибке чтения папки, получения размера
+ *         или удаления архива
  */
-export async function cleanupOldArchives (logFolder, config) {
+export async function cleanupOldArchives (logFolder, config, options = {}) {
   const { fs, path } = dependencies
+  const { maxFiles, maxAge = 0, maxTotalSize = 0 } = config
+  const { fileName, filePattern, exclude = [] } = options
 
   try {
     const files = await fs.promises.readdir(logFolder)
 
-    const archives = files
-      .filter(file => /\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}.*Z$/.test(file))
-      .map(file => ({
-        name: file,
-        path: path.join(logFolder, file),
-        timestamp: new Date(file.match(/\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}.*Z/)[0].replace(/-/g, ':'))
-      }))
-      .sort((a, b) => b.timestamp - a.timestamp)
-
-    const deleted = []
-    if (archives.length > config.maxFiles) {
-      const toDelete = archives.slice(config.maxFiles)
-      for (const archive of toDelete) {
-        await fs.promises.unlink(archive.path)
-        deleted.push(archive.path)
+    const archives = []
+    for (const file of files) {
+      if (exclude.includes(file)) continue
+      const filePath = path.join(logFolder, file)
+      const archive = parseArchiveName(file)
+      if (archive) {
+        const matches = filePattern ? filePattern.test(archive.baseName) : !fileName || archive.baseName === fileName
+        if (matches) archives.push({ name: file, path: filePath, ...archive })
+      } else if (filePattern?.test(file)) {
+        // Прежний файл лога, созданный по шаблону имени: время - по последнему изменению
+        archives.push({ name: file, path: filePath, timestamp: (await fs.promises.stat(filePath)).mtime })
+      }
+    }
+    archives.sort((a, b) => b.timestamp - a.timestamp)
+
+    const minTimestamp = maxAge > 0 ? Date.now() - maxAge * DAY_MS : null
+    let totalSize = 0
+
+    const toDelete = []
+    for (const [index, archive] of archives.entries()) {
+      let expired = index >= maxFiles || (minTimestamp !== null && archive.timestamp < minTimestamp)
+
+      if (!expired && maxTotalSize > 0) {
+        totalSize += (await fs.promises.stat(archive.path)).size
+        expired = totalSize > maxTotalSize
+      }
+
+      if (expired) toDelete.push(archive.path)
+    }
+
+    if (!options.dryRun) {
+      for (const archivePath of toDelete) {
+        await fs.promises.unlink(archivePath)
       }
     }
 
-    return deleted
+    return toDelete
   } catch (error) {
     throw createCleanupError(error.message, error)
   }
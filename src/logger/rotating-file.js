@@ -0,0 +1,282 @@
+/**
+ * @file src/logger/rotating-file.js
+ * @description Таргет pino для записи в файл с ротацией и переоткрытием по запросу
+ * @version 0.6.0
+ *
+ * @changelog
+ * - 0.6.0 (2026-10-19): Прежние файлы шаблона очищаются после переоткрытия потока на новый файл, а не до него.
+ * - 0.5.0 (2026-10-19): При переключении на новый файл по шаблону имени прежние файлы шаблона очищаются
+ *                      по политикам хранения (`maxFiles`, `maxAge`, `maxTotalSize`).
+ * - 0.4.0 (2026-10-19): Переоткрытие файла по сообщению `REOPEN_MESSAGE_CODE` от основного потока
+ *                      (совместимость с внешним logrotate). Таргет используется для всех файлов, заданных путем.
+ * - 0.3.0 (2026-10-19): Передача политик хранения архивов `maxAge` и `maxTotalSize` в ротацию.
+ * - 0.2.0 (2026-10-19): Ротация по времени (`interval`): на границе интервала шаблон имени файла вычисляется
+ *                      заново; если имя не изменилось, текущий файл переименовывается в архив.
+ *
+ * @description
+ * Модуль загружается pino в worker-потоке транспорта (см. `createPinoTransports` в config.js).
+ * Запись выполняется через `pino.destination` (SonicBoom). После каждой записи учитывается размер
+ * файла; при превышении лимита файл переименовывается в архив через `checkAndRotate`, после чего
+ * поток переоткрывает исходный путь. Записи, сделанные во время ротации, попадают в архив, поэтому
+ * сообщения не теряются.
+ *
+ * Основной поток может попросить переоткрыть файл (см. `reopenFiles` в logger.js): сообщение
+ * `{ code: REOPEN_MESSAGE_CODE }` приходит в worker через `parentPort`, и все файловые таргеты транспорта
+ * переоткрывают свои файлы по исходному пути. Так поддерживается ротация внешним logrotate
+ * (переименование файла и сигнал процессу).
+ *
+ * ВАЖНО: модуль не должен импортировать logger.js и config.js - иначе инициализация логгера внутри
+ * worker-потока создаст транспорты повторно, а файл конфигурации пользователя будет выполнен заново.
+ */
+
+import { once } from 'events'
+import fs from 'fs'
+import path from 'path'
+import pino from 'pino'
+import { parentPort } from 'worker_threads'
+
+import { getFilenameTemplatePattern, processFilenameTemplate } from './filename-template.js'
+import { checkAndRotate, cleanupOldArchives, getNextRotationTime, rotateFile } from './rotate.js'
+
+const DEFAULT_MAX_SIZE = 10485760 // 10MB
+const DEFAULT_MAX_FILES = 5
+
+/**
+ * Код сообщения основного потока с запросом на переоткрытие файлов
+ * @type {string}
+ */
+export const REOPEN_MESSAGE_CODE = 'SYS_LOGGER_REOPEN'
+
+// Максимальная задержка setTimeout (~24.8 дня); более далекие ротации планируются в несколько шагов
+const MAX_TIMER_DELAY = 2147483647
+
+/**
+ * @typedef {Object} RotatingFileOptions
+ * @property {string} destination - Путь к лог-файлу
+ * @property {string} [folder] - Папка для логов (вместе с `filename` - для ротации по времени)
+ * @property {string} [filename] - Шаблон имени файла, вычисляется заново на границе интервала
+ * @property {boolean} [mkdir=true] - Создавать папку, если не существует
+ * @property {boolean} [append=true] - Дописывать в существующий файл
+ * @property {boolean} [sync=false] - Синхронная запись
+ * @property {number} [maxSize=10485760] - Максимальный размер файла в байтах (0 - без ротации по размеру)
+ * @property {number} [maxFiles=5] - Максимальное количество архивных файлов
+ * @property {number} [maxAge=0] - Максимальный возраст архива в днях (0 - без ограничения)
+ * @property {number} [maxTotalSize=0] - Максимальный суммарный размер архивов в байтах (0 - без ограничения)
+ * @property {boolean} [compress=false] - Сжимать архивные файлы
+ * @property {string} [interval] - Интервал ротации по времени (hourly, daily, weekly или cron-выражение)
+ */
+
+/**
+ * Зависимости модуля
+ */
+export const dependencies = {
+  pino,
+  fs,
+  path,
+  checkAndRotate,
+  rotateFile,
+  cleanupOldArchives,
+  getNextRotationTime,
+  processFilenameTemplate,
+  getFilenameTemplatePattern,
+  parentPort // null вне worker-потока
+}
+
+/**
+ * Устанавливает зависимости модуля
+ * @param {Partial<typeof dependencies>} newDependencies - Новые зависимости
+ */
+export function setDependencies (newDependencies) {
+  Object.assign(dependencies, newDependencies)
+}
+
+/**
+ * Создает поток записи в файл с ротацией по размеру и по времени и переоткрытием по запросу
+ *
+ * Основная ответственность:
+ * - Открытие файла через `pino.destination`
+ * - Подсчет записанных байт (по событию `write` SonicBoom)
+ * - Запуск `checkAndRotate` при превышении `maxSize` и переоткрытие файла после ротации
+ * - Ротация на границах `interval`: если шаблон `filename` дает новое имя, запись переключается на новый файл,
+ *   а прежние файлы шаблона (и их архивы) очищаются по политикам хранения через `cleanupOldArchives`;
+ *   иначе непустой текущий файл переименовывается в архив через `rotateFile`
+ * - Переоткрытие текущего файла по сообщению `REOPEN_MESSAGE_CODE` из `parentPort`
+ *
+ * Ротации и переоткрытия выполняются последовательно. После успешной ротации поток генерирует событие
+ * `rotated`, после переоткрытия - `reopened`, с путем файла, в который продолжается запись. Ошибки ротации не прерывают запись: они выводятся
+ * в console.error, запись продолжается в текущий файл.
+ *
+ * @param {RotatingFileOptions} options - Настройки файла и ротации
+ * @returns {Promise<import('sonic-boom').SonicBoom>} Поток записи, готовый к использованию
+ */
+export async function createRotatingFileStream (options) {
+  const {
+    pino,
+    fs,
+    path,
+    checkAndRotate,
+    rotateFile,
+    cleanupOldArchives,
+    getNextRotationTime,
+    processFilenameTemplate,
+    getFilenameTemplatePattern,
+    parentPort
+  } = dependencies
+  const { folder, filename, interval, mkdir = true, append = true, sync = false } = options
+  const maxSize = options.maxSize ?? DEFAULT_MAX_SIZE
+
+  let filePath = options.destination
+  const stream = pino.destination({ dest: filePath, mkdir, append, sync })
+  await once(stream, 'ready')
+
+  let size = fs.statSync(filePath).size
+  let sizeRotationPending = false
+  let rotationQueue = Promise.resolve()
+  let timer = null
+  let closed = false
+
+  /**
+   * Возвращает конфигурацию ротации для текущего файла
+   * @returns {import('./rotate.js').RotateConfig}
+   */
+  const getRotateConfig = () => ({
+    logFolder: path.dirname(filePath),
+    maxSize,
+    maxFiles: options.maxFiles || DEFAULT_MAX_FILES,
+    maxAge: options.maxAge || 0,
+    maxTotalSize: options.maxTotalSize || 0,
+    compress: options.compress === true
+  })
+
+  /**
+   * Ставит ротацию в очередь и переоткрывает поток после ее выполнения
+   * @param {function(): Promise<string|null>} rotation - Операция ротации; возвращает путь для дальнейшей
+   *        записи или null, если ротация не потребовалась
+   * @param {string} [event='rotated'] - Событие, генерируемое после переоткрытия потока
+   * @returns {Promise<void>} Промис завершения операции (не отклоняется)
+   */
+  function enqueueRotation (rotation, event = 'rotated') {
+    rotationQueue = rotationQueue.then(async () => {
+      try {
+        const nextPath = await rotation()
+        if (!nextPath || closed) return
+        const previousPath = filePath
+        stream.reopen(nextPath)
+        size = fs.existsSync(nextPath) ? fs.statSync(nextPath).size : 0
+        filePath = nextPath
+        // Прежний файл закрыт: теперь его можно очищать вместе с остальными файлами шаблона
+        if (nextPath !== previousPath) await cleanupTemplateFiles(previousPath)
+        stream.emit(event, nextPath)
+      } catch (error) {
+        // Используем console.error: писать через логгер из транспорта нельзя
+        console.error(`[SYS_LOGGER ERROR] ${error.message}`)
+      }
+    })
+    return rotationQueue
+  }
+
+  /**
+   * Применяет политики хранения к прежним файлам шаблона имени
+   *
+   * Прежние файлы шаблона не переименовываются в архивы, поэтому политики применяются к ним напрямую.
+   *
+   * @param {string} previousPath - Путь файла, в который велась запись до переключения
+   * @returns {Promise<void>} Промис завершения очистки (не отклоняется)
+   */
+  async function cleanupTemplateFiles (previousPath) {
+    try {
+      await cleanupOldArchives(path.dirname(previousPath), getRotateConfig(), {
+        filePattern: getFilenameTemplatePattern(filename),
+        exclude: [path.basename(filePath)]
+      })
+    } catch (error) {
+      console.error(`[SYS_LOGGER ERROR] ${error.message}`)
+    }
+  }
+
+  /**
+   * Ротация по размеру
+   * @returns {Promise<string|null>} Путь текущего файла после ротации или null
+   */
+  async function rotateBySize () {
+    try {
+      return (await checkAndRotate(filePath, getRotateConfig())) ? filePath : null
+    } finally {
+      sizeRotationPending = false
+    }
+  }
+
+  /**
+   * Ротация на границе интервала
+   * @param {Date} boundary - Время границы интервала
+   * @returns {Promise<string|null>} Путь для дальнейшей записи или null
+   */
+  async function rotateByTime (boundary) {
+    const nextPath = folder && filename
+      ? path.join(folder, processFilenameTemplate(filename, boundary))
+      : filePath
+
+    if (nextPath !== filePath) {
+      if (mkdir) fs.mkdirSync(path.dirname(nextPath), { recursive: true })
+      return nextPath
+    }
+
+    if (fs.statSync(filePath).size === 0) return null
+    await rotateFile(filePath, getRotateConfig())
+    return filePath
+  }
+
+  /**
+   * Планирует ближайшую ротацию по времени
+   */
+  function scheduleTimeRotation () {
+    if (closed) return
+    const boundary = getNextRotationTime(interval, new Date())
+    const delay = Math.min(Math.max(boundary.getTime() - Date.now(), 0), MAX_TIMER_DELAY)
+
+    timer = setTimeout(() => {
+      if (Date.now() < boundary.getTime()) {
+        scheduleTimeRotation()
+        return
+      }
+      enqueueRotation(() => rotateByTime(boundary)).then(scheduleTimeRotation)
+    }, delay)
+    // Таймер не должен удерживать worker-поток от завершения
+    timer.unref()
+  }
+
+  stream.on('write', (bytes) => {
+    size += bytes
+    if (sizeRotationPending || !maxSize || size < maxSize) return
+    sizeRotationPending = true
+    enqueueRotation(rotateBySize)
+  })
+
+  /**
+   * Обрабатывает сообщения основного потока
+   * @param {{code?: string}} message - Сообщение из `parentPort`
+   */
+  function onParentMessage (message) {
+    if (message?.code !== REOPEN_MESSAGE_CODE) return
+    // Файл мог быть переименован извне: открываем заново исходный путь
+    enqueueRotation(async () => filePath, 'reopened')
+  }
+
+  stream.on('close', () => {
+    closed = true
+    clearTimeout(timer)
+    // Подписка на parentPort удерживала бы worker-поток от завершения
+    parentPort?.off('message', onParentMessage)
+  })
+
+  parentPort?.on('message', onParentMessage)
+
+  if (interval) {
+    scheduleTimeRotation()
+  }
+
+  return stream
+}
+
+// pino загружает таргеты транспорта через default export
+export default createRotatingFileStream
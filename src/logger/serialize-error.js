@@ -0,0 +1,110 @@
+/**
+ * @file src/logger/serialize-error.js
+ * @description Сериализация ошибок для записи в лог (цепочки cause, AggregateError, поля sys-errors)
+ * @version 0.2.0
+ *
+ * @description
+ * Ошибка преобразуется в обычный объект `{ type, message, stack, code, ... }`, который одинаково записывается
+ * всеми транспортами и обрабатывается правилами скрытия данных. В объект попадают:
+ * - собственные перечисляемые свойства ошибки, в том числе `subsystem`, `recoverable`, `docs`, `context`
+ *   и `original` ошибок `@fab33/sys-errors`;
+ * - `cause` (в том числе заданный через `new Error(message, { cause })`) и `errors` у AggregateError.
+ *
+ * Вложенные ошибки сериализуются рекурсивно. Глубина вложенности ограничена (`LOG_ERROR_CAUSE_DEPTH`),
+ * повторное появление ошибки в цепочке заменяется маркером `[Circular]`. Остальные значения свойств
+ * преобразуются через `serializeValue` (Map, Set, глубина и длина строк), геттер, бросающий ошибку, -
+ * маркер `[Getter Error: <сообщение>]`.
+ */
+
+import { serializeValue } from './serialize-value.js'
+
+// Глубина вложенных ошибок (cause, original, errors) по умолчанию
+export const DEFAULT_ERROR_CAUSE_DEPTH = 5
+
+// Маркеры вместо вложенной ошибки
+export const CIRCULAR_MARKER = '[Circular]'
+export const MAX_CAUSE_DEPTH_MARKER = '[Max Cause Depth Reached]'
+
+// Свойства, которые записываются отдельно
+const OWN_FIELDS = ['name', 'message', 'stack', 'cause', 'errors']
+
+/**
+ * Сериализует ошибку в объект для записи в лог
+ *
+ * Детерминированная функция: исходная ошибка не изменяется.
+ *
+ * @param {Error} error - Ошибка
+ * @param {Object} [options] - Настройки
+ * @param {number} [options.maxDepth=5] - Максимальная глубина вложенных ошибок
+ * @param {import('./serialize-value.js').SerializeOptions} [options.serializeOptions] - Настройки
+ *        преобразования остальных значений свойств (глубина, длина строк)
+ * @returns {Object} Объект `{ type, message, stack, code?, ...свойства, cause?, errors? }`
+ */
+export function serializeError (error, { maxDepth = DEFAULT_ERROR_CAUSE_DEPTH, serializeOptions = {} } = {}) {
+  return serialize(error, maxDepth, new Set(), serializeOptions)
+}
+
+/**
+ * Читает свойство ошибки: геттер, бросающий ошибку, не прерывает сериализацию
+ * @param {Error} error - Ошибка
+ * @param {string} key - Имя свойства
+ * @returns {{value: *}|{marker: string}} Значение свойства или маркер ошибки геттера
+ * @private
+ */
+function readProperty (error, key) {
+  try {
+    return { value: error[key] }
+  } catch (getterError) {
+    return { marker: `[Getter Error: ${getterError?.message ?? getterError}]` }
+  }
+}
+
+/**
+ * Сериализует ошибку с учетом оставшейся глубины и ошибок на текущем пути
+ * @param {Error} error - Ошибка
+ * @param {number} depth - Оставшаяся глубина вложенных ошибок
+ * @param {Set<Error>} path - Ошибки от корня до текущей (для обнаружения циклов)
+ * @param {import('./serialize-value.js').SerializeOptions} serializeOptions - Настройки преобразования значений
+ * @returns {Object} Сериализованная ошибка
+ * @private
+ */
+function serialize (error, depth, path, serializeOptions) {
+  path.add(error)
+
+  const nestedError = (value) => {
+    if (path.has(value)) return CIRCULAR_MARKER
+    if (depth <= 0) return MAX_CAUSE_DEPTH_MARKER
+    return serialize(value, depth - 1, path, serializeOptions)
+  }
+  // Ошибки внутри значений (например, в context) сериализуются с тем же путем и глубиной
+  const nested = (value) => value instanceof Error
+    ? nestedError(value)
+    : serializeValue(value, { ...serializeOptions, serializeNestedError: nestedError })
+  const read = (key) => {
+    const property = readProperty(error, key)
+    return 'marker' in property ? property.marker : property.value
+  }
+
+  const result = {
+    type: error.constructor?.name || error.name || 'Error',
+    message: read('message'),
+    stack: read('stack')
+  }
+  const code = read('code')
+  if (code !== undefined) result.code = nested(code)
+
+  for (const key of Object.keys(error)) {
+    if (OWN_FIELDS.includes(key) || key === 'code') continue
+    const property = readProperty(error, key)
+    result[key] = 'marker' in property ? property.marker : nested(property.value)
+  }
+
+  const cause = readProperty(error, 'cause')
+  if ('marker' in cause) result.cause = cause.marker
+  else if (cause.value !== undefined) result.cause = nested(cause.value)
+  const errors = read('errors')
+  if (Array.isArray(errors)) result.errors = errors.map(nested)
+
+  path.delete(error) // Одна и та же ошибка в соседних ветках (например, в errors) - не цикл
+  return result
+}
@@ -0,0 +1,163 @@
+/**
+ * @file src/logger/serialize-value.js
+ * @description Безопасное преобразование значений любых типов для записи в лог
+ * @version 0.3.0
+ *
+ * @description
+ * pino записывает значения через JSON.stringify: Set превращается в `{}`, BigInt и циклические ссылки
+ * приводят к исключению, а геттер, бросающий ошибку, прерывает запись. `serializeValue` заранее приводит
+ * значение к виду, который JSON.stringify записывает без потерь и без исключений:
+ * - Map - объект со строковыми ключами, Set - массив, Date - строка ISO, BigInt, Symbol, RegExp, URL - строка;
+ * - Buffer, ArrayBuffer, типизированные массивы и DataView - краткое описание с размером (без содержимого);
+ * - ошибки на любом уровне вложенности - через `serializeError`;
+ * - экземпляры классов - собственные перечисляемые свойства (или результат `toJSON()`);
+ * - геттер, бросающий ошибку, - маркер `[Getter Error: <сообщение>]`;
+ * - циклические ссылки - маркер `[Circular]`.
+ *
+ * Глубина вложенности (LOG_MAX_DEPTH) ограничивает все структуры, а в режиме `mapDepthOnly`
+ * (LOG_MAP_DEPTH_ONLY=true) - только Map, как в прежних версиях.
+ */
+
+import { CIRCULAR_MARKER, serializeError } from './serialize-error.js'
+
+// Маркеры вместо значений, превысивших глубину
+export const MAX_DEPTH_MARKER = '[Max Depth Reached]'
+export const MAX_MAP_DEPTH_MARKER = '[Max Map Depth Reached]'
+
+/**
+ * @typedef {Object} SerializeOptions
+ * @property {number} [maxDepth=8] - Максимальная глубина вложенности
+ * @property {boolean} [mapDepthOnly=false] - Ограничивать глубину только для Map
+ * @property {number} [maxStringLength=0] - Максимальная длина строк (0 - без ограничений)
+ * @property {string} [truncationMarker='...'] - Маркер обрезки длинных строк
+ * @property {number} [errorCauseDepth] - Глубина вложенных ошибок (см. `serializeError`)
+ * @property {import('./pseudonymize.js').Pseudonymizer|null} [pseudonymizer] - Заменяет значения настроенных
+ *           полей объектов и Map на токены
+ * @property {function(Error): *} [serializeNestedError] - Сериализует вложенные ошибки (используется
+ *           `serializeError` для значений свойств ошибки, чтобы циклы через значения обнаруживались)
+ */
+
+/**
+ * Преобразует значение для записи в лог
+ *
+ * Детерминированная функция (для объектов с геттерами - в пределах поведения геттеров): исходное значение
+ * не изменяется.
+ *
+ * @param {*} value - Значение
+ * @param {SerializeOptions} [options] - Настройки
+ * @returns {*} Значение, которое JSON.stringify записывает без исключений
+ */
+export function serializeValue (value, options = {}) {
+  const {
+    maxDepth = 8,
+    mapDepthOnly = false,
+    maxStringLength = 0,
+    truncationMarker = '...',
+    errorCauseDepth,
+    pseudonymizer = null,
+    serializeNestedError = (error) => serializeError(error, { maxDepth: errorCauseDepth, serializeOptions: options })
+  } = options
+  const ancestors = new Set()
+
+  /**
+   * Преобразует значение поля с учетом псевдонимизации
+   * @param {string} key - Имя поля
+   * @param {*} fieldValue - Значение поля
+   * @param {number} depth - Оставшаяся глубина
+   * @returns {*} Преобразованное значение
+   */
+  const convertField = (key, fieldValue, depth) => {
+    return pseudonymizer?.isField(key) ? pseudonymizer.pseudonymize(fieldValue) : convert(fieldValue, depth)
+  }
+
+  /**
+   * Преобразует значение с учетом оставшейся глубины
+   * @param {*} current - Значение
+   * @param {number} depth - Оставшаяся глубина
+   * @returns {*} Преобразованное значение
+   */
+  function convert (current, depth) {
+    switch (typeof current) {
+      case 'string':
+        return maxStringLength > 0 && current.length > maxStringLength
+          ? current.substring(0, maxStringLength) + truncationMarker
+          : current
+      case 'bigint':
+      case 'symbol':
+        return current.toString()
+      case 'function':
+        return `[Function: ${current.name || 'anonymous'}]`
+      case 'object':
+        break
+      default:
+        return current
+    }
+    if (current === null) return null
+
+    const leaf = convertLeafObject(current, serializeNestedError)
+    if (leaf !== undefined) return leaf
+
+    if (ancestors.has(current)) return CIRCULAR_MARKER
+
+    const isMap = current instanceof Map
+    if (isMap || !mapDepthOnly) {
+      if (depth <= 0) return isMap ? MAX_MAP_DEPTH_MARKER : MAX_DEPTH_MARKER
+      depth--
+    }
+
+    ancestors.add(current)
+    try {
+      if (isMap) {
+        const result = {}
+        for (const [key, item] of current.entries()) {
+          result[String(key)] = convertField(String(key), item, depth)
+        }
+        return result
+      }
+      if (current instanceof Set) return [...current].map(item => convert(item, depth))
+      if (Array.isArray(current)) return current.map(item => convert(item, depth))
+      if (typeof current.toJSON === 'function') return convert(current.toJSON(), depth)
+
+      const result = {}
+      for (const key of Object.keys(current)) {
+        let fieldValue
+        try {
+          fieldValue = current[key]
+        } catch (error) {
+          result[key] = `[Getter Error: ${error?.message ?? error}]`
+          continue
+        }
+        result[key] = convertField(key, fieldValue, depth)
+      }
+      return result
+    } catch (error) {
+      // Proxy или toJSON, бросающие ошибку: записываем маркер вместо всей структуры
+      return `[Unserializable: ${error?.message ?? error}]`
+    } finally {
+      ancestors.delete(current)
+    }
+  }
+
+  return convert(value, maxDepth)
+}
+
+/**
+ * Преобразует объекты, которые записываются одним значением (без обхода свойств)
+ * @param {Object} value - Объект
+ * @param {function(Error): *} serializeNestedError - Сериализует ошибки
+ * @returns {*} Преобразованное значение или undefined, если объект нужно обойти по свойствам
+ * @private
+ */
+function convertLeafObject (value, serializeNestedError) {
+  if (value instanceof Error) return serializeNestedError(value)
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()
+  if (value instanceof RegExp || value instanceof URL) return value.toString()
+  if (Buffer.isBuffer(value)) return `[Buffer: ${value.length} bytes]`
+  if (value instanceof ArrayBuffer) return `[ArrayBuffer: ${value.byteLength} bytes]`
+  if (value instanceof DataView) return `[DataView: ${value.byteLength} bytes]`
+  if (ArrayBuffer.isView(value)) return `[${value.constructor.name}: ${value.length} items]`
+  if (value instanceof WeakMap || value instanceof WeakSet || value instanceof Promise) {
+    return `[${value.constructor.name}]`
+  }
+  return undefined
+}
@@ -0,0 +1,96 @@
+/**
+ * @file test/logger/config-watcher.test.js
+ * @version 0.1.0
+ * @description Тесты отслеживания изменений файлов конфигурации логгера
+ * @tested-file src/logger/config-watcher.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { expect, vi, describe, beforeEach, afterEach, test } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { createLogger } from '../../src/logger/logger.js'
+import { createConfigWatcher } from '../../src/logger/config-watcher.js'
+import { LOGGER_ERROR_CODES } from '../../src/logger/errors-logger.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:config-watcher')
+
+describe('(config-watcher.js) Отслеживание изменений конфигурации', () => {
+  let tmpDir
+  let configFile
+  let envFile
+  let watcher
+  let onChange
+  let onError
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов config-watcher.js')
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sys-logger-watch-'))
+    configFile = path.join(tmpDir, 'sys-logger.config.js')
+    envFile = path.join(tmpDir, 'logger.env')
+    fs.writeFileSync(configFile, "export default { logLevel: 'info' }")
+    fs.writeFileSync(envFile, 'DEBUG=app\n')
+    onChange = vi.fn()
+    onError = vi.fn()
+  })
+
+  afterEach(() => {
+    logger.trace('Восстановление состояния после тестов')
+    watcher?.close()
+    watcher = null
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  test('перечитывает файлы после изменения и передает их содержимое', async () => {
+    logger.trace('Тест: изменение файлов конфигурации')
+
+    watcher = createConfigWatcher({ configFile, envFile, debounce: 20, onChange, onError })
+
+    fs.writeFileSync(configFile, "export default { logLevel: 'debug' }")
+    fs.writeFileSync(envFile, '# Уровень для api\nDEBUG=api:*\nLOG_LEVEL="trace"\n')
+
+    await vi.waitFor(() => {
+      expect(onChange).toHaveBeenLastCalledWith({
+        fileConfig: { logLevel: 'debug' },
+        env: { DEBUG: 'api:*', LOG_LEVEL: 'trace' }
+      })
+    }, { timeout: 2000 })
+    expect(onError).not.toHaveBeenCalled()
+
+    logger.debug({ calls: onChange.mock.calls.length }, 'Изменения применены')
+  })
+
+  test('передает ошибку CONFIG_LOAD_FAILED для некорректного файла', async () => {
+    logger.trace('Тест: некорректный файл конфигурации')
+
+    watcher = createConfigWatcher({ configFile, debounce: 20, onChange, onError })
+
+    fs.writeFileSync(configFile, 'export default { logLevel: ')
+    await watcher.reload()
+
+    expect(onChange).not.toHaveBeenCalled()
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      code: LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED.code
+    }))
+  })
+
+  test('не перечитывает файлы после close() и требует хотя бы один файл', async () => {
+    logger.trace('Тест: прекращение отслеживания')
+
+    expect(() => createConfigWatcher({ onChange, onError })).toThrow(expect.objectContaining({
+      code: LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED.code
+    }))
+
+    watcher = createConfigWatcher({ envFile, debounce: 20, onChange, onError })
+    watcher.close()
+
+    fs.writeFileSync(envFile, 'DEBUG=*\n')
+    await new Promise(resolve => setTimeout(resolve, 100))
+
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})
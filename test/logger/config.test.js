@@ -1,22 +1,50 @@
 /**
  * @file test/logger/config.test.js
- * @version 0.6.0
+ * @version 0.19.0
  * @description Тесты модуля конфигурации логгера
  *
  * @changelog
+ * - 0.19.0 (2026-10-19): Добавлена проверка, что файл конфигурации выполняется только при импорте logger.js.
+ * - 0.18.0 (2026-10-19): Добавлены тесты пользовательских уровней (`LOG_CUSTOM_LEVELS`).
+ * - 0.17.0 (2026-10-19): Добавлена проверка настроек псевдонимизации (`LOG_PSEUDONYMIZE_*`).
+ * - 0.16.0 (2026-10-19): Добавлена проверка настроек скрытия данных (`LOG_REDACT_*`).
+ * - 0.15.0 (2026-10-19): Добавлены тесты правил уровней по namespace (`LOG_LEVELS`).
+ * - 0.14.0 (2026-10-19): Добавлена проверка повторной загрузки файла конфигурации (`reload`).
+ * - 0.13.0 (2026-10-19): Добавлен тест `isFileConfig` и передачи конфигурации из файла в `createTransport`.
+ * - 0.12.0 (2026-10-19): Добавлены тесты проверки конфигурации и режима LOG_STRICT.
+ * - 0.11.0 (2026-10-19): Добавлены тесты файла конфигурации `sys-logger.config.js`.
+ * - 0.10.0 (2026-10-19): Файловые транспорты с путем используют таргет `rotating-file.js` и без ротации.
+ * - 0.9.0 (2026-10-19): Добавлен тест политик хранения архивов.
+ * - 0.8.0 (2026-10-19): Добавлены тесты ротации по времени (`TRANSPORT{N}_ROTATE_INTERVAL`).
+ * - 0.7.0 (2026-10-19): Добавлены тесты таргета ротации для файловых транспортов.
  * - 0.6.0 (2025-06-11): Исправлен неполный мок `fs`, который был истинной причиной падения тестов.
  *                      Падавший тест возвращен к простому и читаемому виду.
  * - 0.5.0 (2025-06-11): Рефакторинг падающего теста для изоляции зависимостей.
  * - 0.4.0 (2025-06-11): Добавлены тесты на отказоустойчивость и приоритеты.
  *
  * @tested-file src/logger/config.js
- * @tested-file-version 0.8.0
+ * @tested-file-version 0.20.0
  * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.1.0.md
  */
 
 import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { pathToFileURL } from 'url'
 import { createLogger } from '../../src/logger/logger.js'
-import { createTransport, loadConfig, processFilenameTemplate, setDependencies } from '../../src/logger/config.js'
+import {
+  createTransport,
+  findConfigFile,
+  isFileConfig,
+  loadConfig,
+  loadConfigFile,
+  parseCustomLevels,
+  parseNamespaceLevels,
+  processFilenameTemplate,
+  setDependencies
+} from '../../src/logger/config.js'
 import { SystemError } from '@fab33/sys-errors'
 import { LOGGER_ERROR_CODES } from '../../src/logger/errors-logger.js'
 
@@ -108,6 +136,7 @@ describe('(config.js) Модуль конфигурации логгера', ()
         logFolder: 'test-logs',
         sync: false,
         pretty: false,
+        mapDepthOnly: false,
         transportConfigs: [] // Новое поле для конфигураций транспортов
       })
 
@@ -187,6 +216,333 @@ describe('(config.js) Модуль конфигурации логгера', ()
     }, 2000)
   })
 
+  describe('Проверка конфигурации', () => {
+    test('должен предупредить об ошибках с указанием источника и использовать значения по умолчанию', () => {
+      mockLogger.trace('Тестирование предупреждения о некорректной конфигурации')
+
+      // Подготовка
+      mockDeps.env = {
+        LOG_MAX_DEPTH: 'deep',
+        TRANSPORT1: 'console',
+        TRANSPORT2: 'file',
+        TRANSPORT2_LEVEL: 'degub',
+        TRANSPORT2_ROTATE_MAX_FILES: '5x',
+        TRANSPORT2_ROTATE_SIZE: '100',
+        TRANSPORT4: 'console'
+      }
+
+      // Действие
+      const config = loadConfig(mockDeps.env)
+
+      // Проверки: значения заменены значениями по умолчанию
+      expect(config.maxDepth).toBe(8)
+      expect(config.transportConfigs).toHaveLength(2)
+      expect(config.transportConfigs[1]).toMatchObject({ level: 'info', rotateMaxFiles: 5 })
+
+      // Проверки: все ошибки собраны в одно предупреждение
+      expect(consoleErrorSpy).toHaveBeenCalledTimes(1)
+      const warning = consoleErrorSpy.mock.calls[0][0]
+      for (const source of ['LOG_MAX_DEPTH', 'TRANSPORT2_LEVEL', 'TRANSPORT2_ROTATE_MAX_FILES', 'TRANSPORT2_ROTATE_SIZE', 'TRANSPORT4']) {
+        expect(warning).toContain(`${source}=`)
+      }
+
+      // Повторная загрузка той же конфигурации не дублирует предупреждение
+      loadConfig(mockDeps.env)
+      expect(consoleErrorSpy).toHaveBeenCalledTimes(1)
+
+      mockLogger.debug({ warning }, 'Ошибки конфигурации собраны в одно предупреждение')
+    }, 2000)
+
+    test('должен бросить CONFIG_LOAD_FAILED в строгом режиме (LOG_STRICT)', () => {
+      mockLogger.trace('Тестирование строгого режима проверки конфигурации')
+
+      // Подготовка
+      mockDeps.env = {
+        LOG_STRICT: 'true',
+        TRANSPORT1: 'file',
+        TRANSPORT1_LEVEL: 'degub'
+      }
+
+      // Действие и проверки
+      let error
+      try {
+        loadConfig(mockDeps.env)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeInstanceOf(SystemError)
+      expect(error.code).toBe(LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED.code)
+      expect(error.message).toContain('TRANSPORT1_LEVEL="degub"')
+      expect(error.original.code).toBe(LOGGER_ERROR_CODES.INVALID_CONFIG_VALUE.code)
+      expect(error.original.original.code).toBe(LOGGER_ERROR_CODES.INVALID_LOG_LEVEL.code)
+
+      // createTransport оборачивает ошибку в LOG_TRANSPORT_INIT_FAILED
+      expect(() => createTransport(mockDeps.env)).toThrow(expect.objectContaining({
+        code: LOGGER_ERROR_CODES.TRANSPORT_INIT_FAILED.code,
+        original: expect.objectContaining({ code: LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED.code })
+      }))
+      expect(mockDeps.pino.transport).not.toHaveBeenCalled()
+      expect(consoleErrorSpy).not.toHaveBeenCalled()
+
+      mockLogger.debug('Строгий режим прерывает создание транспорта')
+    }, 2000)
+
+    test('должен сообщать о неизвестных ключах и неверных типах в файле конфигурации', () => {
+      mockLogger.trace('Тестирование проверки файла конфигурации')
+
+      // Подготовка
+      const fileConfig = {
+        strict: true,
+        logLevel: 'warn',
+        logfolder: 'typo-logs',
+        transports: [{ type: 'file', rotateMaxSize: '10MB' }]
+      }
+
+      // Действие и проверки
+      expect(() => loadConfig({}, fileConfig)).toThrow(/sys-logger\.config\.js:logfolder.*sys-logger\.config\.js:transports\[0\]\.rotateMaxSize/)
+
+      // Значение из окружения отключает строгий режим файла
+      const config = loadConfig({ LOG_STRICT: 'false' }, fileConfig)
+      expect(config).toMatchObject({ strict: false, logLevel: 'warn', logFolder: 'logs' })
+      expect(config.transportConfigs[0].rotateMaxSize).toBe(10485760)
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('unknown setting'))
+
+      mockLogger.debug('Ошибки файла конфигурации обнаружены')
+    }, 2000)
+
+    test('должен разбирать и проверять правила уровней по namespace (LOG_LEVELS)', () => {
+      mockLogger.trace('Тестирование правил LOG_LEVELS')
+
+      // Действие и проверки: строка из окружения и объект из файла дают одинаковые правила
+      const expectedRules = [
+        { pattern: 'db:*', level: 'warn' },
+        { pattern: 'api:auth', level: 'trace' },
+        { pattern: '*', level: 'info' }
+      ]
+      expect(parseNamespaceLevels(' db:*=warn, api:auth=TRACE ,*=info')).toEqual({ rules: expectedRules, invalid: [] })
+      expect(parseNamespaceLevels({ 'db:*': 'warn', 'api:auth': 'trace', '*': 'info' }).rules).toEqual(expectedRules)
+      expect(parseNamespaceLevels('db:*=loud,api,=info').invalid).toEqual(['db:*=loud', 'api', '=info'])
+
+      expect(loadConfig({ LOG_LEVELS: 'db:*=warn,api:auth=trace,*=info' }).levels).toEqual(expectedRules)
+      expect(loadConfig({}, { levels: { 'db:*': 'warn' } }).levels).toEqual([{ pattern: 'db:*', level: 'warn' }])
+
+      expect(() => loadConfig({ LOG_STRICT: 'true', LOG_LEVELS: 'db:*=loud' })).toThrow(/LOG_LEVELS="db:\*=loud"/)
+      expect(consoleErrorSpy).not.toHaveBeenCalled()
+
+      mockLogger.debug('Правила LOG_LEVELS разобраны')
+    }, 2000)
+
+    test('должен проверять настройки скрытия данных (LOG_REDACT_*)', () => {
+      mockLogger.trace('Тестирование проверки LOG_REDACT_*')
+
+      // Действие и проверки
+      const config = loadConfig({ LOG_REDACT_PATHS: '*.password=remove', LOG_REDACT_PATTERNS: 'jwt,email=mask' })
+      expect(config.redactPaths).toEqual([{ path: ['*', 'password'], strategy: 'remove' }])
+      expect(config.redactPatterns.map(rule => rule.name)).toEqual(['jwt', 'email'])
+      expect(config).toMatchObject({ redactStrategy: 'replace', redactCensor: '[REDACTED]' })
+
+      expect(() => loadConfig({ LOG_STRICT: 'true', LOG_REDACT_PATTERNS: 'jwt,phone' })).toThrow(/LOG_REDACT_PATTERNS="jwt,phone"/)
+      expect(() => loadConfig({ LOG_STRICT: 'true', LOG_REDACT_STRATEGY: 'hide' })).toThrow(/LOG_REDACT_STRATEGY="hide"/)
+      expect(() => loadConfig({}, { strict: true, redactPaths: ['a..b'] })).toThrow(/redactPaths/)
+      expect(consoleErrorSpy).not.toHaveBeenCalled()
+    }, 2000)
+
+    test('должен требовать ключ для псевдонимизации полей (LOG_PSEUDONYMIZE_*)', () => {
+      mockLogger.trace('Тестирование проверки LOG_PSEUDONYMIZE_*')
+
+      // Действие и проверки
+      const env = { LOG_STRICT: 'true', LOG_PSEUDONYMIZE_FIELDS: 'userId, email' }
+      expect(() => loadConfig(env)).toThrow(/LOG_PSEUDONYMIZE_KEY/)
+
+      const config = loadConfig({ ...env, LOG_PSEUDONYMIZE_KEY: 'secret' })
+      expect(config.pseudonymizeFields).toEqual(['userId', 'email'])
+      expect(config).not.toHaveProperty('pseudonymizeKey')
+    }, 2000)
+
+    test('должен разбирать и проверять пользовательские уровни (LOG_CUSTOM_LEVELS)', () => {
+      mockLogger.trace('Тестирование LOG_CUSTOM_LEVELS')
+
+      // Действие и проверки: строка из окружения и объект из файла дают одинаковые уровни
+      const expectedLevels = [
+        { name: 'audit', value: 65, color: 'magenta', always: true },
+        { name: 'http', value: 25, color: 'cyan', always: false }
+      ]
+      expect(parseCustomLevels('audit:65:magenta:always, http:25:cyan')).toEqual({ levels: expectedLevels, invalid: [] })
+      expect(parseCustomLevels({ audit: { value: 65, always: true }, http: { value: 25, color: 'cyan' } }).levels)
+        .toEqual(expectedLevels)
+      expect(parseCustomLevels('info:35,child:36,Notice:37,dup:30,notice:0,notice:35,copy:35,x:38:red:green').invalid)
+        .toEqual(['info:35', 'child:36', 'Notice:37', 'dup:30', 'notice:0', 'copy:35', 'x:38:red:green'])
+      // Имена методов обертки логгера (span, once, deprecate) заняты
+      expect(parseCustomLevels('span:41,once:42,deprecate:43').invalid).toEqual(['span:41', 'once:42', 'deprecate:43'])
+
+      // Имена пользовательских уровней допустимы в остальных настройках уровней
+      const config = loadConfig({
+        LOG_CUSTOM_LEVELS: 'audit:65:magenta:always,http:25',
+        LOG_LEVEL: 'http',
+        LOG_LEVELS: 'api:*=audit',
+        TRANSPORT1: 'console',
+        TRANSPORT1_LEVEL: 'HTTP'
+      })
+      expect(config.customLevels.map(level => level.name)).toEqual(['audit', 'http'])
+      expect(config).toMatchObject({ logLevel: 'http', levels: [{ pattern: 'api:*', level: 'audit' }] })
+      expect(config.transportConfigs[0].level).toBe('http')
+      expect(loadConfig({}, { customLevels: { notice: 35 }, logLevel: 'notice' }).logLevel).toBe('notice')
+
+      expect(() => loadConfig({ LOG_STRICT: 'true', LOG_CUSTOM_LEVELS: 'warn:45' })).toThrow(/LOG_CUSTOM_LEVELS="warn:45"/)
+      expect(() => loadConfig({ LOG_STRICT: 'true', LOG_LEVEL: 'audit' })).toThrow(/LOG_LEVEL="audit"/)
+      expect(consoleErrorSpy).not.toHaveBeenCalled()
+
+      mockLogger.debug('Пользовательские уровни разобраны')
+    }, 2000)
+  })
+
+  describe('Файл конфигурации sys-logger.config.js', () => {
+    let tmpDir
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sys-logger-config-'))
+      setDependencies({ fs, path })
+    })
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    test('findConfigFile() ищет файл вверх до маркера корня проекта', () => {
+      mockLogger.trace('Тестирование поиска файла конфигурации')
+
+      // Подготовка: project/package.json, project/sys-logger.config.js, project/test/unit
+      const projectDir = path.join(tmpDir, 'project')
+      const unitDir = path.join(projectDir, 'test', 'unit')
+      fs.mkdirSync(unitDir, { recursive: true })
+      fs.writeFileSync(path.join(projectDir, 'package.json'), '{}')
+
+      // Действие и проверки
+      expect(findConfigFile(unitDir)).toBeNull()
+
+      fs.writeFileSync(path.join(projectDir, 'sys-logger.config.js'), 'export default {}')
+      expect(findConfigFile(unitDir)).toBe(path.join(projectDir, 'sys-logger.config.js'))
+
+      // Выше маркера корня проекта поиск не идет
+      fs.writeFileSync(path.join(unitDir, 'package.json'), '{}')
+      expect(findConfigFile(unitDir)).toBeNull()
+
+      mockLogger.debug('Поиск файла конфигурации работает корректно')
+    }, 2000)
+
+    test('loadConfigFile() загружает объект конфигурации', async () => {
+      mockLogger.trace('Тестирование загрузки файла конфигурации')
+
+      const configPath = path.join(tmpDir, 'sys-logger.config.js')
+      fs.writeFileSync(configPath, "export default { logLevel: 'debug', transports: [{ type: 'console' }] }")
+
+      const fileConfig = await loadConfigFile(configPath)
+
+      expect(fileConfig).toEqual({ logLevel: 'debug', transports: [{ type: 'console' }] })
+
+      // Измененный файл читается заново только с опцией reload (модули ES кэшируются)
+      fs.writeFileSync(configPath, "export default { logLevel: 'warn' }")
+      expect(await loadConfigFile(configPath)).toBe(fileConfig)
+      expect(await loadConfigFile(configPath, { reload: true })).toEqual({ logLevel: 'warn' })
+    }, 5000)
+
+    test('loadConfigFile() бросает CONFIG_LOAD_FAILED для некорректного файла', async () => {
+      mockLogger.trace('Тестирование некорректного файла конфигурации')
+
+      const configPath = path.join(tmpDir, 'sys-logger.config.js')
+      fs.writeFileSync(configPath, "export default { transports: 'console' }")
+
+      await expect(loadConfigFile(configPath)).rejects.toMatchObject({
+        code: LOGGER_ERROR_CODES.CONFIG_LOAD_FAILED.code,
+        message: expect.stringContaining('"transports" must be an array')
+      })
+      await expect(loadConfigFile(path.join(tmpDir, 'missing.config.js'))).rejects.toBeInstanceOf(SystemError)
+    }, 5000)
+
+    test('файл загружается только при импорте logger.js, но не config.js и таргета rotating-file.js', () => {
+      mockLogger.trace('Тестирование загрузки файла конфигурации при запуске')
+
+      // Файл конфигурации с побочным эффектом: каждое выполнение дописывает символ в loads.txt
+      fs.writeFileSync(path.join(tmpDir, 'package.json'), '{}')
+      fs.writeFileSync(path.join(tmpDir, 'sys-logger.config.js'), [
+        "import fs from 'fs'",
+        "fs.appendFileSync(new URL('./loads.txt', import.meta.url), 'x')",
+        "export default { logLevel: 'warn' }"
+      ].join('\n'))
+      const moduleUrl = (name) => pathToFileURL(path.resolve('src/logger', name)).href
+      const script = `
+        import fs from 'fs'
+        await import('${moduleUrl('config.js')}')
+        await import('${moduleUrl('rotating-file.js')}')
+        const before = fs.existsSync('loads.txt')
+        const { getFileConfig } = await import('${moduleUrl('config.js')}')
+        await import('${moduleUrl('logger.js')}')
+        console.log(JSON.stringify({ before, loads: fs.readFileSync('loads.txt', 'utf-8'), config: getFileConfig() }))
+      `
+
+      const env = { ...process.env, LOG_CONFIG_FILE: '' }
+      const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { cwd: tmpDir, env, encoding: 'utf-8' })
+
+      expect(JSON.parse(output)).toEqual({ before: false, loads: 'x', config: { logLevel: 'warn' } })
+    }, 10000)
+
+    test('loadConfig() отдает приоритет переменным окружения над файлом', () => {
+      mockLogger.trace('Тестирование приоритета источников конфигурации')
+
+      const fileConfig = {
+        logLevel: 'warn',
+        logFolder: 'file-logs',
+        sync: true,
+        colorize: false,
+        transports: [
+          { type: 'file', level: 'error', destination: 2 },
+          { type: 'console', colors: false }
+        ]
+      }
+
+      // Без TRANSPORT{N} в окружении используются транспорты из файла
+      const fromFile = loadConfig({ LOG_LEVEL: 'debug', LOG_SYNC: 'false' }, fileConfig)
+      expect(fromFile).toMatchObject({
+        logLevel: 'debug',
+        logFolder: 'file-logs',
+        sync: false,
+        colorize: false,
+        consoleOutput: true
+      })
+      expect(fromFile.transportConfigs).toEqual([
+        expect.objectContaining({ type: 'file', level: 'error', destination: '2', rotateMaxFiles: 5, enabled: true }),
+        expect.objectContaining({ type: 'console', level: 'info', colors: false, translateTime: 'SYS:standard' })
+      ])
+
+      // TRANSPORT{N} в окружении заменяют список транспортов из файла
+      const fromEnv = loadConfig({ TRANSPORT1: 'console' }, fileConfig)
+      expect(fromEnv.transportConfigs).toEqual([expect.objectContaining({ type: 'console', colors: true })])
+
+      mockLogger.debug('Приоритет источников конфигурации соблюден')
+    }, 2000)
+  })
+
+  describe('Конфигурация для reconfigure()', () => {
+    test('isFileConfig() отличает объект конфигурации от переменных окружения', () => {
+      expect(isFileConfig({ logLevel: 'debug' })).toBe(true)
+      expect(isFileConfig({ transports: [] })).toBe(true)
+      expect(isFileConfig({ LOG_LEVEL: 'debug', TRANSPORT1: 'console' })).toBe(false)
+      expect(isFileConfig({})).toBe(false)
+      expect(isFileConfig(null)).toBe(false)
+    }, 2000)
+
+    test('createTransport() использует переданную конфигурацию из файла', () => {
+      mockLogger.trace('Тестирование createTransport() с конфигурацией из файла')
+
+      createTransport({}, { transports: [{ type: 'console', level: 'warn' }] })
+
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets).toHaveLength(1)
+      expect(targets[0]).toMatchObject({ target: 'pino-pretty', level: 'warn' })
+    }, 2000)
+  })
+
   describe('processFilenameTemplate() - Обработка шаблонов', () => {
     test('должен корректно обрабатывать шаблоны в имени файла', () => {
       mockLogger.trace('Тестирование обработки шаблонов')
@@ -230,7 +586,8 @@ describe('(config.js) Модуль конфигурации логгера', ()
       // Проверки
       expect(result).toEqual({
         level: 30, // info
-        transport: expect.any(Object)
+        transport: expect.any(Object),
+        customLevels: []
       })
 
       expect(mockDeps.pino.multistream).toHaveBeenCalledWith(expect.arrayContaining([
@@ -349,7 +706,8 @@ describe('(config.js) Модуль конфигурации логгера', ()
       // Проверки
       expect(result).toEqual({
         level: 20, // debug (минимальный из заданных уровней)
-        transport: expect.any(Object)
+        transport: expect.any(Object),
+        customLevels: []
       })
 
       // Проверяем вызов pino.transport с правильными параметрами
@@ -361,7 +719,7 @@ describe('(config.js) Модуль конфигурации логгера', ()
           }),
           expect.objectContaining({
             level: 'error',
-            target: 'pino/file'
+            target: expect.stringMatching(/rotating-file\.js$/)
           })
         ],
         dedupe: false
@@ -370,6 +728,63 @@ describe('(config.js) Модуль конфигурации логгера', ()
       mockLogger.debug('Транспорты через pino.transport созданы успешно')
     }, 2000)
 
+    test('должен сохранять уровни таргетов при правилах LOG_LEVELS', () => {
+      mockLogger.trace('Тестирование порогов таргетов с правилами LOG_LEVELS')
+
+      const result = createTransport({
+        TRANSPORT1: 'file',
+        TRANSPORT1_LEVEL: 'info',
+        TRANSPORT1_DESTINATION: 'logs/app.log',
+        TRANSPORT2: 'file',
+        TRANSPORT2_LEVEL: 'error',
+        TRANSPORT2_DESTINATION: 'logs/errors.log',
+        LOG_LEVELS: 'db:*=warn,*=info,api:debug=trace'
+      })
+
+      // Правила применяет логгер namespace: пороги файлов не меняются
+      expect(result.level).toBe(30)
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets.map(target => [target.options.destination, target.level])).toEqual([
+        ['logs/app.log', 'info'],
+        ['logs/errors.log', 'error']
+      ])
+
+      mockLogger.debug('Уровни таргетов сохранены')
+    }, 2000)
+
+    test('должен передавать пользовательские уровни потокам и pino-pretty', () => {
+      mockLogger.trace('Тестирование транспортов с пользовательскими уровнями')
+
+      // Подготовка
+      mockDeps.env = {
+        LOG_CUSTOM_LEVELS: 'audit:65:magenta:always,http:25:cyan',
+        TRANSPORT1: 'console',
+        TRANSPORT1_LEVEL: 'http'
+      }
+
+      // Действие
+      const result = createTransport(mockDeps.env)
+
+      // Проверки: порог транспорта - значение пользовательского уровня
+      expect(result.level).toBe(25)
+      expect(result.customLevels.map(level => level.name)).toEqual(['audit', 'http'])
+      expect(mockDeps.pino.transport).toHaveBeenCalledWith({
+        targets: [expect.objectContaining({
+          level: 'http',
+          target: 'pino-pretty',
+          options: expect.objectContaining({
+            customLevels: { audit: 65, http: 25 },
+            customColors: { audit: 'magenta', http: 'cyan' },
+            useOnlyCustomProps: false
+          })
+        })],
+        levels: expect.objectContaining({ info: 30, audit: 65, http: 25 }),
+        dedupe: false
+      })
+
+      mockLogger.debug('Пользовательские уровни переданы транспортам')
+    }, 2000)
+
     test('должен использовать pino-pretty для file транспорта с destination: 1 и prettyPrint: true', () => {
       mockLogger.trace('Тестирование pretty-print для stdout через file транспорт')
 
@@ -435,6 +850,138 @@ describe('(config.js) Модуль конфигурации логгера', ()
       mockLogger.debug('Сырой вывод в stdout через file транспорт настроен корректно')
     }, 2000)
 
+    test('должен использовать таргет ротации для file транспорта с TRANSPORT{N}_ROTATE=true', () => {
+      mockLogger.trace('Тестирование таргета ротации для файлового транспорта')
+
+      // Подготовка
+      mockDeps.env = {
+        TRANSPORT1: 'file',
+        TRANSPORT1_LEVEL: 'info',
+        TRANSPORT1_FOLDER: 'logs',
+        TRANSPORT1_FILENAME: 'app.log',
+        TRANSPORT1_ROTATE: 'true',
+        TRANSPORT1_ROTATE_MAX_SIZE: '1024',
+        TRANSPORT1_ROTATE_MAX_FILES: '3'
+      }
+
+      // Действие
+      createTransport(mockDeps.env)
+
+      // Проверки
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets).toHaveLength(1)
+      expect(targets[0].target).toMatch(/rotating-file\.js$/)
+      expect(targets[0]).toMatchObject({
+        level: 'info',
+        options: {
+          destination: 'logs/app.log',
+          maxSize: 1024,
+          maxFiles: 3,
+          compress: false
+        }
+      })
+
+      mockLogger.debug('Таргет ротации настроен корректно')
+    }, 2000)
+
+    test('должен передавать таргету ротации политики хранения архивов', () => {
+      mockLogger.trace('Тестирование политик хранения архивов')
+
+      // Подготовка
+      mockDeps.env = {
+        TRANSPORT1: 'file',
+        TRANSPORT1_FOLDER: 'logs',
+        TRANSPORT1_FILENAME: 'app.log',
+        TRANSPORT1_ROTATE: 'true',
+        TRANSPORT1_ROTATE_MAX_AGE: '14',
+        TRANSPORT1_ROTATE_MAX_TOTAL_SIZE: '104857600'
+      }
+
+      // Действие
+      createTransport(mockDeps.env)
+
+      // Проверки
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets[0].options).toMatchObject({
+        maxFiles: 5,
+        maxAge: 14,
+        maxTotalSize: 104857600
+      })
+
+      mockLogger.debug('Политики хранения переданы таргету')
+    }, 2000)
+
+    test('должен передавать таргету ротации интервал и шаблон имени файла', () => {
+      mockLogger.trace('Тестирование ротации по времени')
+
+      // Подготовка
+      mockDeps.env = {
+        TRANSPORT1: 'file',
+        TRANSPORT1_FOLDER: 'logs',
+        TRANSPORT1_FILENAME: 'app_{date}.log',
+        TRANSPORT1_ROTATE_INTERVAL: 'daily'
+      }
+
+      // Действие
+      createTransport(mockDeps.env)
+
+      // Проверки
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets[0].target).toMatch(/rotating-file\.js$/)
+      expect(targets[0].options).toMatchObject({
+        destination: 'logs/app_2024-01-01.log',
+        folder: 'logs',
+        filename: 'app_{date}.log',
+        interval: 'daily',
+        maxSize: 0 // Ротация по размеру не включена
+      })
+
+      mockLogger.debug('Ротация по времени настроена корректно')
+    }, 2000)
+
+    test('должен отключить ротацию по времени при некорректном интервале', () => {
+      mockLogger.trace('Тестирование некорректного интервала ротации')
+
+      // Подготовка
+      mockDeps.env = {
+        TRANSPORT1: 'file',
+        TRANSPORT1_FOLDER: 'logs',
+        TRANSPORT1_ROTATE_INTERVAL: 'monthly'
+      }
+
+      // Действие
+      createTransport(mockDeps.env)
+
+      // Проверки
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets[0].target).toMatch(/rotating-file\.js$/)
+      expect(targets[0].options).toMatchObject({ interval: '', maxSize: 0 })
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('TRANSPORT1_ROTATE_INTERVAL="monthly"'))
+
+      mockLogger.debug('Некорректный интервал проигнорирован')
+    }, 2000)
+
+    test('должен писать без ротации в дескриптор и предупреждать об этом', () => {
+      mockLogger.trace('Тестирование ротации для файлового дескриптора')
+
+      // Подготовка
+      mockDeps.env = {
+        TRANSPORT1: 'file',
+        TRANSPORT1_DESTINATION: '1',
+        TRANSPORT1_ROTATE: 'true'
+      }
+
+      // Действие
+      createTransport(mockDeps.env)
+
+      // Проверки
+      const { targets } = mockDeps.pino.transport.mock.calls[0][0]
+      expect(targets[0]).toMatchObject({ target: 'pino/file', options: { destination: 1 } })
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Rotation is not supported'))
+
+      mockLogger.debug('Дескриптор записывается без ротации')
+    }, 2000)
+
     test('должен отключить файловый транспорт при ошибке доступа к директории и не падать', () => {
       mockLogger.trace('Тестирование отказоустойчивости при ошибке доступа')
 
@@ -0,0 +1,46 @@
+/**
+ * @file test/logger/context.test.js
+ * @version 0.1.0
+ * @description Тесты контекста логирования для асинхронной цепочки вызовов
+ * @tested-file src/logger/context.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { expect, describe, test } from 'vitest'
+
+import { createLogger } from '../../src/logger/logger.js'
+import { getLogContext, runWithLogContext, setLogContext } from '../../src/logger/context.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:context')
+
+describe('(context.js) Контекст логирования', () => {
+  test('сохраняет контекст в асинхронной цепочке и дополняет его во вложенных вызовах', async () => {
+    logger.trace('Тест: вложенный контекст')
+
+    const seen = await runWithLogContext({ requestId: 'req-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1))
+      const inner = runWithLogContext({ userId: 7 }, () => getLogContext())
+      setLogContext({ step: 'done' })
+      return { inner, outer: getLogContext() }
+    })
+
+    expect(seen.inner).toEqual({ requestId: 'req-1', userId: 7 })
+    expect(seen.outer).toEqual({ requestId: 'req-1', step: 'done' })
+    expect(getLogContext()).toBeUndefined()
+
+    logger.debug({ seen }, 'Контекст получен')
+  })
+
+  test('разделяет контексты параллельных цепочек', async () => {
+    logger.trace('Тест: параллельные цепочки')
+
+    const handle = (requestId) => runWithLogContext({ requestId }, async () => {
+      await new Promise(resolve => setTimeout(resolve, requestId === 'a' ? 5 : 1))
+      return getLogContext().requestId
+    })
+
+    expect(await Promise.all([handle('a'), handle('b')])).toEqual(['a', 'b'])
+  })
+})
@@ -0,0 +1,50 @@
+/**
+ * @file test/logger/filename-template.test.js
+ * @version 0.1.0
+ * @description Тесты шаблонов имен лог-файлов
+ * @tested-file src/logger/filename-template.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+
+import { createLogger } from '../../src/logger/logger.js'
+import { getFilenameTemplatePattern, processFilenameTemplate, setDependencies } from '../../src/logger/filename-template.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:filename-template')
+
+describe('(filename-template.js) Шаблоны имен лог-файлов', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2024-01-01T12:00:00.000Z'))
+    setDependencies({ fs: { readFileSync: vi.fn().mockReturnValue('{"name": "test-app", "version": "1.2.3"}') } })
+  })
+
+  afterEach(() => {
+    setDependencies({ fs, path })
+    vi.useRealTimers()
+  })
+
+  test('processFilenameTemplate() подставляет переданную дату', () => {
+    logger.trace('Тест: шаблон с заданной датой')
+
+    // Остальные шаблоны проверяются в config.test.js через реэкспорт из config.js
+    expect(processFilenameTemplate('{date}.log', new Date('2024-03-05T00:00:00.000Z'))).toBe('2024-03-05.log')
+    expect(processFilenameTemplate('{app_name}_{date}.log')).toBe('test-app_2024-01-01.log')
+  })
+
+  test('getFilenameTemplatePattern() соответствует файлам шаблона за любые даты', () => {
+    logger.trace('Тест: RegExp имен файлов шаблона')
+
+    const pattern = getFilenameTemplatePattern('logs/{app_name}_{date}.{pid}.log')
+    expect(pattern.test('test-app_2023-12-31.123.log')).toBe(true)
+    expect(pattern.test(processFilenameTemplate('{app_name}_{date}.{pid}.log'))).toBe(true)
+    expect(pattern.test('other-app_2023-12-31.123.log')).toBe(false)
+    expect(pattern.test('test-app_2023-12-31.123.log.2024-01-01T00-00-00-000Z')).toBe(false)
+    expect(getFilenameTemplatePattern('app.log').test('app-log')).toBe(false)
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * @file test/logger/http.test.js
+ * @version 0.1.0
+ * @description Тесты журнала HTTP запросов на локальном сервере
+ * @tested-file src/logger/http.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import http from 'http'
+import { Writable } from 'stream'
+import { expect, vi, describe, beforeEach, afterEach, test } from 'vitest'
+
+import {
+  createLogger,
+  dependencies as loggerDeps,
+  getLogContext,
+  httpLogger,
+  setDependencies as setLoggerDependencies
+} from '../../src/logger/logger.js'
+import { createRequestLogger, dependencies as httpDeps, setDependencies } from '../../src/logger/http.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:http')
+
+/**
+ * Создает логгер, запоминающий записи дочерних логгеров
+ * @returns {{logger: Object, records: Array}} Логгер и массив записей `{ level, bindings, args }`
+ */
+function createRecordingLogger () {
+  const records = []
+  const child = (bindings) => Object.fromEntries(['info', 'warn', 'error'].map(level => {
+    return [level, (...args) => records.push({ level, bindings, args })]
+  }))
+  return { logger: { child }, records }
+}
+
+/**
+ * Запускает локальный сервер и возвращает его адрес
+ * @param {function} handler - Обработчик запросов
+ * @returns {Promise<{server: http.Server, url: string}>}
+ */
+async function startServer (handler) {
+  const server = http.createServer(handler)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return { server, url: `http://127.0.0.1:${server.address().port}` }
+}
+
+describe('(http.js) Журнал HTTP запросов', () => {
+  let origDeps
+  let server
+
+  beforeEach(() => {
+    origDeps = { ...httpDeps }
+    let now = 1000
+    setDependencies({ Date: { now: () => (now += 25) }, randomUUID: () => 'generated-id' })
+  })
+
+  afterEach(async () => {
+    setDependencies(origDeps)
+    if (server) await new Promise(resolve => server.close(resolve))
+    server = null
+  })
+
+  test('записывает запросы сервера node:http с уровнем по статусу', async () => {
+    logger.trace('Тест: node:http')
+
+    const { logger: recordingLogger, records } = createRecordingLogger()
+    const logRequests = createRequestLogger({ logger: recordingLogger })
+    let url
+    ;({ server, url } = await startServer((req, res) => {
+      logRequests(req, res)
+      res.statusCode = req.url === '/missing' ? 404 : 200
+      res.write('hello ')
+      res.end('world')
+    }))
+
+    const first = await fetch(`${url}/items?page=2`)
+    await first.text()
+    const second = await fetch(`${url}/missing`, { method: 'POST', body: 'abc', headers: { 'x-request-id': 'req-7' } })
+    await second.text()
+    await vi.waitFor(() => expect(records).toHaveLength(2))
+
+    expect(first.headers.get('x-request-id')).toBe('generated-id')
+    expect(second.headers.get('x-request-id')).toBe('req-7')
+    expect(records[0]).toEqual({
+      level: 'info',
+      bindings: { requestId: 'generated-id' },
+      args: [
+        { method: 'GET', url: '/items?page=2', statusCode: 200, duration: 25, requestSize: 0, responseSize: 11 },
+        '%s %s %d %d ms', 'GET', '/items?page=2', 200, 25
+      ]
+    })
+    expect(records[1]).toMatchObject({ level: 'warn', bindings: { requestId: 'req-7' } })
+    expect(records[1].args[0]).toMatchObject({ method: 'POST', url: '/missing', statusCode: 404, requestSize: 3 })
+
+    logger.debug({ records }, 'Запросы записаны')
+  })
+
+  test('выполняет next в контексте запроса и не доверяет некорректным идентификаторам', async () => {
+    logger.trace('Тест: Express-совместимая сигнатура')
+
+    const { logger: recordingLogger, records } = createRecordingLogger()
+    const middleware = httpLogger({ logger: recordingLogger })
+    const contexts = []
+    let url
+    ;({ server, url } = await startServer((req, res) => {
+      middleware(req, res, () => {
+        contexts.push({ context: getLogContext(), id: req.id })
+        res.statusCode = 500
+        res.end()
+      })
+    }))
+
+    const response = await fetch(url, { headers: { 'x-request-id': 'bad id\twith spaces' } })
+    await response.text()
+    await vi.waitFor(() => expect(records).toHaveLength(1))
+
+    expect(contexts).toEqual([{ context: { requestId: 'generated-id' }, id: 'generated-id' }])
+    expect(records[0].level).toBe('error')
+  })
+
+  test('не повторяет requestId в записях req.log внутри контекста запроса', async () => {
+    logger.trace('Тест: requestId в записях pino')
+
+    const lines = []
+    const destination = new Writable({
+      write (chunk, encoding, callback) {
+        lines.push(chunk.toString())
+        callback()
+      }
+    })
+    const origLoggerDeps = { ...loggerDeps }
+    setLoggerDependencies({ env: { DEBUG: 'http', LOG_LEVEL: 'info' }, createTransport: () => ({ transport: destination, level: 30 }) })
+
+    try {
+      const middleware = httpLogger()
+      let url
+      ;({ server, url } = await startServer((req, res) => {
+        middleware(req, res, () => {
+          req.log.info('handling request')
+          res.end()
+        })
+      }))
+
+      const response = await fetch(url, { headers: { 'x-request-id': 'req-9' } })
+      await response.text()
+      await vi.waitFor(() => expect(lines).toHaveLength(2))
+    } finally {
+      setLoggerDependencies(origLoggerDeps)
+    }
+
+    for (const line of lines) {
+      expect(line.match(/"requestId"/g)).toHaveLength(1)
+      expect(JSON.parse(line).requestId).toBe('req-9')
+    }
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * @file test/logger/namespace-matcher.bench.js
+ * @version 0.1.0
+ * @description Бенчмарки фильтрации по namespace (DEBUG): стоимость вызовов выключенных логгеров
+ * @tested-file src/logger/logger.js
+ * @tested-file-version 0.19.0
+ *
+ * Запуск: `npm run bench`
+ *
+ * Сценарий "смена DEBUG на каждом вызове" показывает стоимость разбора паттернов без кэша
+ * (так работала фильтрация до компиляции паттернов).
+ */
+
+import { bench, describe } from 'vitest'
+import { createLogger, setDependencies } from '../../src/logger/logger.js'
+
+const DEBUG_PATTERNS = 'api:*,auth,db:*,-db:query,cache:*,queue:*,mail,payments:*,search:*,-search:index'
+
+// Транспорт без вывода: измеряется только работа обертки и pino
+const env = { LOG_LEVEL: 'trace', DEBUG: DEBUG_PATTERNS }
+setDependencies({
+  env,
+  baseLogger: null,
+  createTransport: () => ({ transport: { write () {} }, level: 10 })
+})
+
+const disabledLogger = createLogger('worker:jobs')
+const negatedLogger = createLogger('db:query')
+const enabledLogger = createLogger('api:users')
+const payload = { id: 42, items: [1, 2, 3], meta: { source: 'bench' } }
+
+describe('Вызов выключенного логгера', () => {
+  bench('namespace не подходит ни под один паттерн', () => {
+    disabledLogger.debug(payload, 'disabled message')
+  })
+
+  bench('namespace запрещен паттерном -db:query', () => {
+    negatedLogger.debug(payload, 'disabled message')
+  })
+
+  bench('смена DEBUG на каждом вызове (без кэша)', () => {
+    env.DEBUG = env.DEBUG === DEBUG_PATTERNS ? `${DEBUG_PATTERNS},` : DEBUG_PATTERNS
+    disabledLogger.debug(payload, 'disabled message')
+  })
+})
+
+describe('Проверка namespace', () => {
+  bench('isLevelEnabled() для выключенного namespace', () => {
+    disabledLogger.isLevelEnabled('debug')
+  })
+
+  bench('isLevelEnabled() для включенного namespace', () => {
+    enabledLogger.isLevelEnabled('debug')
+  })
+})
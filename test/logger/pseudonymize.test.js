@@ -0,0 +1,49 @@
+/**
+ * @file test/logger/pseudonymize.test.js
+ * @version 0.1.0
+ * @description Тесты псевдонимизации идентификаторов в записях лога
+ * @tested-file src/logger/pseudonymize.js
+ * @tested-file-version 0.1.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { expect, describe, test } from 'vitest'
+
+import { createLogger } from '../../src/logger/logger.js'
+import {
+  MISSING_KEY_PLACEHOLDER,
+  createPseudonymizer,
+  parsePseudonymizeFields
+} from '../../src/logger/pseudonymize.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:pseudonymize')
+
+describe('(pseudonymize.js) Псевдонимизация идентификаторов', () => {
+  test('одно значение дает один токен, разные ключи - разные токены', () => {
+    logger.trace('Тест: детерминированные токены')
+
+    const pseudonymizer = createPseudonymizer({ fields: 'userId, email', key: 'secret-1' })
+    const token = pseudonymizer.pseudonymize('user-42')
+
+    expect(pseudonymizer.active).toBe(true)
+    expect(pseudonymizer.isField('email')).toBe(true)
+    expect(pseudonymizer.isField('name')).toBe(false)
+    expect(token).toMatch(/^psd_[0-9a-f]{16}$/)
+    expect(pseudonymizer.pseudonymize('user-42')).toBe(token)
+    expect(pseudonymizer.pseudonymize(42)).toBe(pseudonymizer.pseudonymize('42'))
+    expect(pseudonymizer.pseudonymize('user-43')).not.toBe(token)
+    expect(createPseudonymizer({ fields: ['userId'], key: 'secret-2' }).pseudonymize('user-42')).not.toBe(token)
+    expect(pseudonymizer.pseudonymize(null)).toBeNull()
+
+    logger.debug({ token }, 'Токен получен')
+  })
+
+  test('без ключа заменяет значения заглушкой, без полей - неактивен', () => {
+    logger.trace('Тест: неполная настройка')
+
+    expect(createPseudonymizer({ fields: 'userId' }).pseudonymize('user-42')).toBe(MISSING_KEY_PLACEHOLDER)
+    expect(createPseudonymizer({ key: 'secret' }).active).toBe(false)
+    expect(parsePseudonymizeFields(['userId', 42, ' email '])).toEqual({ fields: ['userId', 'email'], invalid: ['42'] })
+  })
+})
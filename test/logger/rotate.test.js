@@ -1,14 +1,18 @@
 /**
  * @file test/logger/rotate.test.js
- * @version 0.3.2
+ * @version 0.7.0
  * @description Тесты модуля ротации и архивирования лог файлов
  * @tested-file src/logger/rotate.js
- * @tested-file-version 0.1.2
+ * @tested-file-version 0.6.0
  * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
  */
 
 import { expect, vi, describe, beforeEach, afterEach, test } from 'vitest'
+import fs from 'fs'
+import os from 'os'
 import path from 'path'
+import zlib from 'zlib'
+import { Transform } from 'stream'
 import { fileURLToPath } from 'url'
 import { SystemError } from '@fab33/sys-errors'
 
@@ -17,8 +21,13 @@ import { createLogger } from '../../src/logger/logger.js'
 import {
   checkAndRotate,
   cleanupOldArchives,
+  compressArchive,
   dependencies as rotateDeps,
-  setDependencies
+  getNextRotationTime,
+  parseRotationInterval,
+  rotateFile,
+  setDependencies,
+  waitForCompressions
 } from '../../src/logger/rotate.js'
 
 // Используем реальный логгер для отладки тестов
@@ -53,13 +62,15 @@ describe('(rotate.js) Модуль ротации и архивирования
         readdir: vi.fn(),
         rename: vi.fn(),
         writeFile: vi.fn(),
-        unlink: vi.fn()
+        unlink: vi.fn(),
+        stat: vi.fn()
       }
     }
 
     mockPath = {
       join: path.join,
-      dirname: path.dirname
+      dirname: path.dirname,
+      basename: path.basename
     }
 
     mockEnv = {
@@ -183,6 +194,90 @@ describe('(rotate.js) Модуль ротации и архивирования
     })
   })
 
+  describe('rotateFile() - Ротация без проверки размера', () => {
+    test('переименовывает файл в архив и возвращает путь архива', async () => {
+      logger.trace('Тест: принудительная ротация')
+
+      const archivePath = await rotateFile(testLogPath, { logFolder: logDir, maxFiles: 5 })
+
+      expect(archivePath).toBe(`${testLogPath}.2024-01-01T12-00-00-000Z`)
+      expect(mockFs.statSync).not.toHaveBeenCalled()
+      expect(mockFs.promises.rename).toHaveBeenCalledWith(testLogPath, archivePath)
+      expect(mockFs.promises.writeFile).toHaveBeenCalledWith(testLogPath, '')
+      expect(mockFs.promises.readdir).toHaveBeenCalledWith(logDir)
+
+      logger.debug({ archivePath }, 'Ротация выполнена')
+    })
+
+    test('очищает только архивы ротируемого файла', async () => {
+      logger.trace('Тест: очистка архивов в общей папке')
+
+      mockFs.promises.readdir.mockResolvedValue([
+        'test.log.2024-01-01T11-00-00-000Z',
+        'test.log.2024-01-01T10-00-00-000Z',
+        'other.log.2024-01-01T09-00-00-000Z',
+        'other.log.2024-01-01T08-00-00-000Z'
+      ])
+
+      await rotateFile(testLogPath, { logFolder: logDir, maxFiles: 1 })
+
+      expect(mockFs.promises.unlink).toHaveBeenCalledTimes(1)
+      expect(mockFs.promises.unlink).toHaveBeenCalledWith(path.join(logDir, 'test.log.2024-01-01T10-00-00-000Z'))
+    })
+  })
+
+  describe('getNextRotationTime() - Расписание ротации по времени', () => {
+    const from = new Date('2024-01-03T10:17:45.000Z') // среда
+
+    test('вычисляет границы для пресетов', () => {
+      logger.trace('Тест: пресеты интервалов')
+
+      expect(getNextRotationTime('hourly', from)).toEqual(new Date('2024-01-03T11:00:00.000Z'))
+      expect(getNextRotationTime('daily', from)).toEqual(new Date('2024-01-04T00:00:00.000Z'))
+      expect(getNextRotationTime('weekly', from)).toEqual(new Date('2024-01-08T00:00:00.000Z'))
+      expect(getNextRotationTime('DAILY', new Date('2024-01-03T00:00:00.000Z')))
+        .toEqual(new Date('2024-01-04T00:00:00.000Z'))
+    })
+
+    test('поддерживает cron-выражения', () => {
+      logger.trace('Тест: cron-выражения')
+
+      expect(getNextRotationTime('*/15 * * * *', from)).toEqual(new Date('2024-01-03T10:30:00.000Z'))
+      expect(getNextRotationTime('30 2,14 * * *', from)).toEqual(new Date('2024-01-03T14:30:00.000Z'))
+      expect(getNextRotationTime('0 0 1 * *', from)).toEqual(new Date('2024-02-01T00:00:00.000Z'))
+      expect(getNextRotationTime('0 6 * * 1-5', new Date('2024-01-05T07:00:00.000Z')))
+        .toEqual(new Date('2024-01-08T06:00:00.000Z'))
+      expect(getNextRotationTime('0 0 * * 7', from)).toEqual(new Date('2024-01-07T00:00:00.000Z'))
+      expect(getNextRotationTime('0 0 29 2 *', from)).toEqual(new Date('2024-02-29T00:00:00.000Z'))
+    })
+
+    test('бросает INVALID_ROTATE_INTERVAL для некорректных значений', () => {
+      logger.trace('Тест: некорректные интервалы')
+
+      for (const interval of ['monthly', '* * *', '61 * * * *', '5-1 * * * *', '0 0 31 2 *']) {
+        expect(() => getNextRotationTime(interval, from)).toThrow(SystemError)
+        try {
+          getNextRotationTime(interval, from)
+        } catch (error) {
+          expect(error.code).toBe(LOGGER_ERROR_CODES.INVALID_ROTATE_INTERVAL.code)
+        }
+      }
+    })
+
+    test('parseRotationInterval() учитывает ограничения дня месяца и дня недели', () => {
+      logger.trace('Тест: разбор расписания')
+
+      const schedule = parseRotationInterval('0 0 1,15 * 1')
+
+      expect([...schedule.days]).toEqual([1, 15])
+      expect([...schedule.weekdays]).toEqual([1])
+      expect(schedule.daysRestricted).toBe(true)
+      expect(schedule.weekdaysRestricted).toBe(true)
+      // Достаточно совпадения дня месяца или дня недели
+      expect(getNextRotationTime('0 0 1,15 * 1', from)).toEqual(new Date('2024-01-08T00:00:00.000Z'))
+    })
+  })
+
   describe('cleanupOldArchives() - Очистка старых архивов', () => {
     test('удаляет архивы сверх лимита', async () => {
       logger.trace('Тест: удаление старых архивов')
@@ -211,6 +306,93 @@ describe('(rotate.js) Модуль ротации и архивирования
       logger.debug('Удалено архивов:', deleted.length)
     })
 
+    test('учитывает сжатые архивы и удаляет самые старые', async () => {
+      logger.trace('Тест: очистка сжатых архивов')
+
+      mockFs.promises.readdir.mockResolvedValue([
+        'test.log',
+        'test.log.2024-01-01T09-00-00-000Z.gz',
+        'test.log.2024-01-01T12-00-00-000Z',
+        'test.log.2024-01-01T10-00-00-000Z.gz',
+        'test.log.2024-01-01T11-00-00-000Z.gz'
+      ])
+
+      const deleted = await cleanupOldArchives(logDir, { logFolder: logDir, maxFiles: 2 })
+
+      expect(deleted).toEqual([
+        path.join(logDir, 'test.log.2024-01-01T10-00-00-000Z.gz'),
+        path.join(logDir, 'test.log.2024-01-01T09-00-00-000Z.gz')
+      ])
+
+      logger.debug('Удалены самые старые архивы:', deleted)
+    })
+
+    test('удаляет архивы старше maxAge', async () => {
+      logger.trace('Тест: хранение по возрасту')
+
+      // Текущее время в тестах - 2024-01-01T12:00:00Z
+      mockFs.promises.readdir.mockResolvedValue([
+        'test.log.2024-01-01T11-00-00-000Z',
+        'test.log.2023-12-30T13-00-00-000Z.gz',
+        'test.log.2023-12-30T11-00-00-000Z.gz'
+      ])
+
+      const deleted = await cleanupOldArchives(logDir, { logFolder: logDir, maxFiles: 5, maxAge: 2 })
+
+      expect(deleted).toEqual([path.join(logDir, 'test.log.2023-12-30T11-00-00-000Z.gz')])
+      expect(mockFs.promises.unlink).toHaveBeenCalledTimes(1)
+    })
+
+    test('хранит свежие архивы в пределах maxTotalSize', async () => {
+      logger.trace('Тест: хранение по суммарному размеру')
+
+      mockFs.promises.readdir.mockResolvedValue([
+        'test.log.2024-01-01T09-00-00-000Z',
+        'test.log.2024-01-01T11-00-00-000Z',
+        'test.log.2024-01-01T10-00-00-000Z'
+      ])
+      mockFs.promises.stat.mockResolvedValue({ size: 400 })
+
+      const deleted = await cleanupOldArchives(logDir, { logFolder: logDir, maxFiles: 5, maxTotalSize: 1000 })
+
+      expect(deleted).toEqual([path.join(logDir, 'test.log.2024-01-01T09-00-00-000Z')])
+
+      logger.debug('Удалены архивы сверх лимита размера:', deleted)
+    })
+
+    test('в режиме dryRun возвращает архивы к удалению, не удаляя их', async () => {
+      logger.trace('Тест: dryRun')
+
+      mockFs.promises.readdir.mockResolvedValue([
+        'test.log.2024-01-01T11-00-00-000Z',
+        'test.log.2024-01-01T10-00-00-000Z'
+      ])
+
+      const deleted = await cleanupOldArchives(logDir, { logFolder: logDir, maxFiles: 1 }, { dryRun: true })
+
+      expect(deleted).toEqual([path.join(logDir, 'test.log.2024-01-01T10-00-00-000Z')])
+      expect(mockFs.promises.unlink).not.toHaveBeenCalled()
+    })
+
+    test('при fileName не трогает архивы других файлов и посторонние файлы', async () => {
+      logger.trace('Тест: очистка архивов одного файла')
+
+      mockFs.promises.readdir.mockResolvedValue([
+        'test.log.2024-01-01T11-00-00-000Z',
+        'test.log.2024-01-01T10-00-00-000Z.gz',
+        'test.log.old.2024-01-01T09-00-00-000Z',
+        'app.log.2024-01-01T08-00-00-000Z',
+        'report-2024-01-01T07-00-00-000Z.csv'
+      ])
+
+      const deleted = await cleanupOldArchives(logDir, { logFolder: logDir, maxFiles: 0 }, { fileName: 'test.log' })
+
+      expect(deleted).toEqual([
+        path.join(logDir, 'test.log.2024-01-01T11-00-00-000Z'),
+        path.join(logDir, 'test.log.2024-01-01T10-00-00-000Z.gz')
+      ])
+    })
+
     test('ошибка при очистке', async () => {
       logger.trace('Тест: ошибка при очистке')
 
@@ -232,4 +414,75 @@ describe('(rotate.js) Модуль ротации и архивирования
       }
     })
   })
+  describe('compressArchive() - Сжатие архивов', () => {
+    let tmpDir
+    let archivePath
+    let consoleErrorSpy
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sys-logger-rotate-'))
+      archivePath = path.join(tmpDir, 'app.log.2023-12-31T12-00-00-000Z')
+      fs.writeFileSync(archivePath, '{"msg":"archived"}\n')
+      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      // Для сжатия используем реальную файловую систему
+      setDependencies({ fs, path, zlib })
+    })
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore()
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    test('сжимает архив в .gz и удаляет исходный файл', async () => {
+      logger.trace('Тест: сжатие архива')
+
+      const gzipPath = await compressArchive(archivePath)
+
+      expect(gzipPath).toBe(`${archivePath}.gz`)
+      expect(fs.existsSync(archivePath)).toBe(false)
+      expect(zlib.gunzipSync(fs.readFileSync(gzipPath)).toString()).toBe('{"msg":"archived"}\n')
+
+      logger.debug({ gzipPath }, 'Архив сжат')
+    })
+
+    test('при ошибке сжатия бросает ROTATE_FAILED и сохраняет исходный файл', async () => {
+      logger.trace('Тест: ошибка сжатия')
+
+      const failingGzip = () => new Transform({
+        transform (chunk, encoding, callback) {
+          callback(new Error('Gzip failed'))
+        }
+      })
+      setDependencies({ zlib: { createGzip: failingGzip } })
+
+      await expect(compressArchive(archivePath)).rejects.toMatchObject({
+        code: LOGGER_ERROR_CODES.ROTATE_FAILED.code,
+        message: expect.stringContaining('Gzip failed')
+      })
+      expect(fs.readFileSync(archivePath, 'utf-8')).toBe('{"msg":"archived"}\n')
+      expect(fs.existsSync(`${archivePath}.gz`)).toBe(false)
+
+      logger.debug('Исходный архив сохранен')
+    })
+
+    test('checkAndRotate() сжимает архив в фоне при compress: true', async () => {
+      logger.trace('Тест: фоновое сжатие после ротации')
+
+      const filePath = path.join(tmpDir, 'app.log')
+      fs.writeFileSync(filePath, 'x'.repeat(100))
+
+      const result = await checkAndRotate(filePath, { logFolder: tmpDir, maxSize: 10, maxFiles: 5, compress: true })
+      await waitForCompressions()
+
+      expect(result).toBe(true)
+      expect(fs.readdirSync(tmpDir).sort()).toEqual([
+        'app.log',
+        'app.log.2023-12-31T12-00-00-000Z',
+        'app.log.2024-01-01T12-00-00-000Z.gz'
+      ])
+      expect(consoleErrorSpy).not.toHaveBeenCalled()
+
+      logger.debug('Архив сжат в фоне')
+    })
+  })
 })
@@ -0,0 +1,304 @@
+/**
+ * @file test/logger/rotating-file.test.js
+ * @version 0.5.0
+ * @description Тесты таргета pino для записи в файл с ротацией
+ * @tested-file src/logger/rotating-file.js
+ * @tested-file-version 0.6.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { expect, vi, describe, beforeEach, afterEach, test } from 'vitest'
+import { EventEmitter, once } from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { createLogger } from '../../src/logger/logger.js'
+import {
+  REOPEN_MESSAGE_CODE,
+  createRotatingFileStream,
+  dependencies as rotatingDeps,
+  setDependencies
+} from '../../src/logger/rotating-file.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:rotating-file')
+
+/**
+ * Завершает поток и дожидается закрытия файла
+ * @param {import('sonic-boom').SonicBoom} stream - Поток записи
+ * @returns {Promise<void>}
+ */
+function closeStream (stream) {
+  return new Promise(resolve => {
+    stream.once('close', resolve)
+    stream.end()
+  })
+}
+
+describe('(rotating-file.js) Таргет записи в файл с ротацией', () => {
+  // Сохраняем оригинальные зависимости
+  const origDeps = { ...rotatingDeps }
+
+  let logDir
+  let logPath
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    logger.trace('Инициализация тестов rotating-file.js')
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sys-logger-rotating-'))
+    logPath = path.join(logDir, 'app.log')
+    consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    logger.trace('Восстановление состояния после тестов')
+    setDependencies(origDeps)
+    consoleErrorSpy.mockRestore()
+    fs.rmSync(logDir, { recursive: true, force: true })
+  })
+
+  test('пишет в файл без ротации, пока размер меньше лимита', async () => {
+    logger.trace('Тест: запись без ротации')
+
+    const stream = await createRotatingFileStream({ destination: logPath, sync: true, maxSize: 1024 })
+    stream.write('{"msg":"first"}\n')
+    await closeStream(stream)
+
+    expect(fs.readdirSync(logDir)).toEqual(['app.log'])
+    expect(fs.readFileSync(logPath, 'utf-8')).toBe('{"msg":"first"}\n')
+  })
+
+  test('переименовывает файл в архив и продолжает запись в новый файл', async () => {
+    logger.trace('Тест: ротация при превышении размера')
+
+    const stream = await createRotatingFileStream({ destination: logPath, sync: true, maxSize: 40 })
+    const rotated = once(stream, 'rotated')
+    stream.write('{"msg":"line-1","pad":"xxxxxxxxxxxxxxx"}\n')
+
+    await rotated
+    stream.write('{"msg":"line-2"}\n')
+    await closeStream(stream)
+
+    const archive = fs.readdirSync(logDir).find(file => file !== 'app.log')
+    expect(archive).toMatch(/^app\.log\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/)
+    expect(fs.readFileSync(path.join(logDir, archive), 'utf-8')).toContain('line-1')
+    expect(fs.readFileSync(logPath, 'utf-8')).toBe('{"msg":"line-2"}\n')
+
+    logger.debug({ archive }, 'Ротация выполнена')
+  })
+
+  test('учитывает размер существующего файла при дозаписи', async () => {
+    logger.trace('Тест: учет существующего размера')
+
+    const checkAndRotate = vi.fn().mockResolvedValue(false)
+    setDependencies({ checkAndRotate })
+    fs.writeFileSync(logPath, 'x'.repeat(100))
+
+    const stream = await createRotatingFileStream({ destination: logPath, sync: true, maxSize: 101, maxFiles: 2 })
+    stream.write('y\n')
+    await closeStream(stream)
+
+    expect(checkAndRotate).toHaveBeenCalledWith(logPath, {
+      logFolder: logDir,
+      maxSize: 101,
+      maxFiles: 2,
+      maxAge: 0,
+      maxTotalSize: 0,
+      compress: false
+    })
+  })
+
+  test('продолжает запись, если ротация завершилась ошибкой', async () => {
+    logger.trace('Тест: ошибка ротации')
+
+    setDependencies({ checkAndRotate: vi.fn().mockRejectedValue(new Error('Rotate failed')) })
+
+    const stream = await createRotatingFileStream({ destination: logPath, sync: true, maxSize: 10 })
+    stream.write('{"msg":"line-1"}\n')
+    await vi.waitFor(() => {
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Rotate failed'))
+    })
+    stream.write('{"msg":"line-2"}\n')
+    await closeStream(stream)
+
+    expect(fs.readFileSync(logPath, 'utf-8')).toBe('{"msg":"line-1"}\n{"msg":"line-2"}\n')
+  })
+  test('переоткрывает файл по сообщению основного потока', async () => {
+    logger.trace('Тест: переоткрытие после внешней ротации')
+
+    const parentPort = new EventEmitter()
+    setDependencies({ parentPort })
+
+    const stream = await createRotatingFileStream({ destination: logPath, sync: true, maxSize: 0 })
+    stream.write('{"msg":"before"}\n')
+
+    // Внешний logrotate переименовывает файл и просит процесс переоткрыть его
+    fs.renameSync(logPath, `${logPath}.1`)
+    const reopened = once(stream, 'reopened')
+    parentPort.emit('message', { code: REOPEN_MESSAGE_CODE })
+    await reopened
+
+    stream.write('{"msg":"after"}\n')
+    await closeStream(stream)
+
+    expect(fs.readFileSync(`${logPath}.1`, 'utf-8')).toBe('{"msg":"before"}\n')
+    expect(fs.readFileSync(logPath, 'utf-8')).toBe('{"msg":"after"}\n')
+    expect(parentPort.listenerCount('message')).toBe(0)
+  })
+
+  describe('Ротация по времени', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+      vi.setSystemTime(new Date('2024-01-01T23:59:30.000Z'))
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    test('переключается на новый файл, если шаблон дает новое имя', async () => {
+      logger.trace('Тест: смена файла по шаблону {date}')
+
+      const stream = await createRotatingFileStream({
+        destination: path.join(logDir, 'app_2024-01-01.log'),
+        folder: logDir,
+        filename: 'app_{date}.log',
+        interval: 'daily',
+        maxSize: 0,
+        sync: true
+      })
+      stream.write('{"msg":"day-1"}\n')
+
+      const rotated = once(stream, 'rotated')
+      await vi.advanceTimersByTimeAsync(30 * 1000)
+      const [nextPath] = await rotated
+      stream.write('{"msg":"day-2"}\n')
+      await closeStream(stream)
+
+      expect(nextPath).toBe(path.join(logDir, 'app_2024-01-02.log'))
+      expect(fs.readFileSync(path.join(logDir, 'app_2024-01-01.log'), 'utf-8')).toBe('{"msg":"day-1"}\n')
+      expect(fs.readFileSync(nextPath, 'utf-8')).toBe('{"msg":"day-2"}\n')
+
+      logger.debug({ nextPath }, 'Запись переключена на новый файл')
+    })
+
+    test('очищает прежние файлы шаблона по политикам хранения при смене файла', async () => {
+      logger.trace('Тест: хранение файлов шаблона {date}')
+
+      const previousFiles = ['app_2023-12-29.log', 'app_2023-12-30.log', 'app_2023-12-31.log']
+      for (const fileName of previousFiles) {
+        const filePath = path.join(logDir, fileName)
+        fs.writeFileSync(filePath, '{"msg":"old"}\n')
+        const modified = new Date(`${fileName.slice(4, 14)}T23:59:59.000Z`)
+        fs.utimesSync(filePath, modified, modified)
+      }
+      fs.writeFileSync(path.join(logDir, 'app_2023-12-30.log.2023-12-30T10-00-00-000Z'), '{"msg":"archive"}\n')
+      fs.writeFileSync(path.join(logDir, 'other.log'), '{"msg":"other"}\n')
+
+      const stream = await createRotatingFileStream({
+        destination: path.join(logDir, 'app_2024-01-01.log'),
+        folder: logDir,
+        filename: 'app_{date}.log',
+        interval: 'daily',
+        maxSize: 0,
+        maxFiles: 2,
+        sync: true
+      })
+      stream.write('{"msg":"day-1"}\n')
+
+      const rotated = once(stream, 'rotated')
+      await vi.advanceTimersByTimeAsync(30 * 1000)
+      await rotated
+      await closeStream(stream)
+
+      // Хранятся два самых свежих прежних файла, текущий файл и файлы других шаблонов не затрагиваются
+      expect(fs.readdirSync(logDir).sort()).toEqual([
+        'app_2023-12-31.log',
+        'app_2024-01-01.log',
+        'app_2024-01-02.log',
+        'other.log'
+      ])
+
+      logger.debug('Прежние файлы шаблона очищены')
+    })
+
+    test('очищает прежние файлы шаблона после переключения записи на новый файл', async () => {
+      logger.trace('Тест: порядок очистки и переоткрытия')
+
+      const { cleanupOldArchives } = rotatingDeps
+      const nextPath = path.join(logDir, 'app_2024-01-02.log')
+      let nextFileOpened = null
+      setDependencies({
+        cleanupOldArchives: vi.fn((...args) => {
+          // Поток уже переоткрыт (sync: true создает файл сразу), прежний файл закрыт
+          nextFileOpened = fs.existsSync(nextPath)
+          return cleanupOldArchives(...args)
+        })
+      })
+
+      const stream = await createRotatingFileStream({
+        destination: path.join(logDir, 'app_2024-01-01.log'),
+        folder: logDir,
+        filename: 'app_{date}.log',
+        interval: 'daily',
+        maxSize: 0,
+        sync: true
+      })
+      stream.write('{"msg":"day-1"}\n')
+
+      const rotated = once(stream, 'rotated')
+      await vi.advanceTimersByTimeAsync(30 * 1000)
+      await rotated
+      await closeStream(stream)
+
+      expect(rotatingDeps.cleanupOldArchives).toHaveBeenCalledWith(logDir, expect.any(Object), expect.objectContaining({
+        exclude: ['app_2024-01-02.log']
+      }))
+      expect(nextFileOpened).toBe(true)
+    })
+
+    test('архивирует файл на границе интервала, если имя не изменилось', async () => {
+      logger.trace('Тест: архивирование по времени')
+
+      const stream = await createRotatingFileStream({
+        destination: logPath,
+        folder: logDir,
+        filename: 'app.log',
+        interval: 'hourly',
+        maxSize: 0,
+        sync: true
+      })
+      stream.write('{"msg":"hour-1"}\n')
+
+      const rotated = once(stream, 'rotated')
+      await vi.advanceTimersByTimeAsync(30 * 1000)
+      await rotated
+      stream.write('{"msg":"hour-2"}\n')
+      await closeStream(stream)
+
+      expect(fs.readdirSync(logDir).sort()).toEqual(['app.log', 'app.log.2024-01-02T00-00-00-000Z'])
+      expect(fs.readFileSync(path.join(logDir, 'app.log.2024-01-02T00-00-00-000Z'), 'utf-8')).toBe('{"msg":"hour-1"}\n')
+      expect(fs.readFileSync(logPath, 'utf-8')).toBe('{"msg":"hour-2"}\n')
+
+      logger.debug('Файл архивирован на границе часа')
+    })
+
+    test('не архивирует пустой файл и планирует следующую ротацию', async () => {
+      logger.trace('Тест: пустой файл на границе интервала')
+
+      const rotateFile = vi.fn()
+      setDependencies({ rotateFile })
+
+      const stream = await createRotatingFileStream({ destination: logPath, interval: 'hourly', sync: true })
+      await vi.advanceTimersByTimeAsync(30 * 1000)
+      expect(rotateFile).not.toHaveBeenCalled()
+
+      stream.write('{"msg":"hour-2"}\n')
+      await vi.advanceTimersByTimeAsync(60 * 60 * 1000)
+      expect(rotateFile).toHaveBeenCalledTimes(1)
+      expect(rotateFile).toHaveBeenCalledWith(logPath, expect.objectContaining({ logFolder: logDir }))
+      await closeStream(stream)
+    })
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * @file test/logger/serialize-error.test.js
+ * @version 0.2.0
+ * @description Тесты сериализации ошибок для записи в лог
+ * @tested-file src/logger/serialize-error.js
+ * @tested-file-version 0.2.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { expect, describe, test } from 'vitest'
+
+import { createLogger } from '../../src/logger/logger.js'
+import { CIRCULAR_MARKER, MAX_CAUSE_DEPTH_MARKER, serializeError } from '../../src/logger/serialize-error.js'
+import { MAX_DEPTH_MARKER } from '../../src/logger/serialize-value.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:serialize-error')
+
+describe('(serialize-error.js) Сериализация ошибок', () => {
+  test('записывает цепочку cause, свойства ошибки и поля sys-errors', () => {
+    logger.trace('Тест: цепочка cause')
+
+    const root = new TypeError('connection refused')
+    root.code = 'ECONNREFUSED'
+    const wrapped = new Error('query failed', { cause: root })
+    wrapped.query = 'SELECT 1'
+    const systemError = Object.assign(new Error('db unavailable'), {
+      code: 'DB_UNAVAILABLE',
+      subsystem: 'db',
+      recoverable: true,
+      docs: 'docs/errors/db.md#unavailable',
+      context: { host: 'db.local' },
+      original: wrapped
+    })
+
+    expect(serializeError(systemError)).toEqual({
+      type: 'Error',
+      message: 'db unavailable',
+      stack: expect.stringContaining('db unavailable'),
+      code: 'DB_UNAVAILABLE',
+      subsystem: 'db',
+      recoverable: true,
+      docs: 'docs/errors/db.md#unavailable',
+      context: { host: 'db.local' },
+      original: {
+        type: 'Error',
+        message: 'query failed',
+        stack: expect.any(String),
+        query: 'SELECT 1',
+        cause: { type: 'TypeError', message: 'connection refused', stack: expect.any(String), code: 'ECONNREFUSED' }
+      }
+    })
+    expect(serializeError(new Error('with value cause', { cause: 'timeout' })).cause).toBe('timeout')
+
+    logger.debug('Цепочка cause сериализована')
+  })
+
+  test('записывает ошибки AggregateError и ограничивает глубину и циклы', () => {
+    logger.trace('Тест: AggregateError, глубина и циклы')
+
+    const shared = new Error('shared')
+    const aggregate = new AggregateError([shared, shared, new RangeError('out of range')], 'all failed')
+    expect(serializeError(aggregate).errors.map(error => error.message)).toEqual(['shared', 'shared', 'out of range'])
+    expect(serializeError(aggregate).type).toBe('AggregateError')
+
+    const first = new Error('first')
+    const second = new Error('second', { cause: first })
+    first.cause = second
+    expect(serializeError(first).cause.cause).toBe(CIRCULAR_MARKER)
+
+    const deep = new Error('level 0', { cause: new Error('level 1', { cause: new Error('level 2') }) })
+    expect(serializeError(deep, { maxDepth: 1 }).cause.cause).toBe(MAX_CAUSE_DEPTH_MARKER)
+  })
+
+  test('записывает маркер вместо свойства, геттер которого бросает ошибку', () => {
+    logger.trace('Тест: геттер, бросающий ошибку')
+
+    const error = new Error('broken getter')
+    Object.defineProperty(error, 'details', {
+      enumerable: true,
+      get () { throw new Error('not available') }
+    })
+    error.code = 'E_BROKEN'
+
+    const serialized = serializeError(error)
+    expect(serialized.details).toBe('[Getter Error: not available]')
+    expect(serialized.code).toBe('E_BROKEN')
+    expect(serialized.message).toBe('broken getter')
+  })
+
+  test('преобразует значения свойств через serializeValue с настроенными ограничениями', () => {
+    logger.trace('Тест: Map, Set и глубина свойств ошибки')
+
+    const error = Object.assign(new Error('with values'), {
+      headers: new Map([['x-request-id', 'abc']]),
+      tags: new Set(['db', 'retry']),
+      context: { level1: { level2: { level3: 'deep' } } },
+      query: 'SELECT * FROM users'
+    })
+    error.context.self = error
+
+    const serialized = serializeError(error, { serializeOptions: { maxDepth: 2, maxStringLength: 6 } })
+    expect(serialized.headers).toEqual({ 'x-request-id': 'abc' })
+    expect(serialized.tags).toEqual(['db', 'retry'])
+    expect(serialized.context.level1).toEqual({ level2: MAX_DEPTH_MARKER })
+    expect(serialized.context.self).toBe(CIRCULAR_MARKER)
+    expect(serialized.query).toBe('SELECT...')
+  })
+})
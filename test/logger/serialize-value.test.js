@@ -0,0 +1,85 @@
+/**
+ * @file test/logger/serialize-value.test.js
+ * @version 0.2.0
+ * @description Тесты безопасного преобразования значений для записи в лог
+ * @tested-file src/logger/serialize-value.js
+ * @tested-file-version 0.3.0
+ * @test-doc docs/tests/TESTS_SYS_LOGGER, v0.3.0.md
+ */
+
+import { expect, describe, test } from 'vitest'
+
+import { createLogger } from '../../src/logger/logger.js'
+import { MAX_DEPTH_MARKER, MAX_MAP_DEPTH_MARKER, serializeValue } from '../../src/logger/serialize-value.js'
+
+// Используем реальный логгер для отладки тестов
+const logger = createLogger('test:logger:serialize-value')
+
+describe('(serialize-value.js) Преобразование значений', () => {
+  test('преобразует значения, которые JSON.stringify теряет или не может записать', () => {
+    logger.trace('Тест: типы значений')
+
+    class Point {
+      constructor () {
+        this.x = 1
+        this.y = 2
+      }
+    }
+    const withGetter = {
+      ok: true,
+      get broken () { throw new Error('not loaded') }
+    }
+
+    const result = serializeValue({
+      tags: new Set(['a', 'b']),
+      createdAt: new Date('2024-01-01T12:00:00.000Z'),
+      invalidDate: new Date('invalid'),
+      big: 12345678901234567890n,
+      buffer: Buffer.from('hello'),
+      bytes: new Uint16Array(3),
+      point: new Point(),
+      pattern: /ab+c/i,
+      handler: function onData () {},
+      nested: withGetter,
+      cause: new TypeError('bad input')
+    })
+
+    expect(result).toEqual({
+      tags: ['a', 'b'],
+      createdAt: '2024-01-01T12:00:00.000Z',
+      invalidDate: 'Invalid Date',
+      big: '12345678901234567890',
+      buffer: '[Buffer: 5 bytes]',
+      bytes: '[Uint16Array: 3 items]',
+      point: { x: 1, y: 2 },
+      pattern: '/ab+c/i',
+      handler: '[Function: onData]',
+      nested: { ok: true, broken: '[Getter Error: not loaded]' },
+      cause: expect.objectContaining({ type: 'TypeError', message: 'bad input' })
+    })
+    expect(() => JSON.stringify(result)).not.toThrow()
+
+    logger.debug({ result }, 'Значения преобразованы')
+  })
+
+  test('отмечает циклические ссылки и ограничивает глубину', () => {
+    logger.trace('Тест: циклы и глубина')
+
+    const node = { name: 'root', children: [] }
+    node.children.push({ name: 'child', parent: node })
+    node.self = node
+    const shared = { id: 1 }
+
+    expect(serializeValue(node)).toEqual({
+      name: 'root',
+      children: [{ name: 'child', parent: '[Circular]' }],
+      self: '[Circular]'
+    })
+    expect(serializeValue({ a: shared, b: shared })).toEqual({ a: { id: 1 }, b: { id: 1 } })
+
+    // По умолчанию глубина ограничивает все структуры, при LOG_MAP_DEPTH_ONLY=true - только Map
+    const deep = { l1: { l2: { l3: new Map([['m1', new Map([['m2', 'value']])]]) } } }
+    expect(serializeValue(deep, { maxDepth: 2 })).toEqual({ l1: { l2: MAX_DEPTH_MARKER } })
+    expect(serializeValue(deep, { maxDepth: 1, mapDepthOnly: true })).toEqual({ l1: { l2: { l3: { m1: MAX_MAP_DEPTH_MARKER } } } })
+  })
+})